@@ -17,6 +17,8 @@ class CameraApp {
         this.isInitialized = false;
         this.isFullscreen = false;
         this.currentFacingMode = 'environment'; // Track current camera (user = front, environment = rear)
+        this.cameraDeviceId = null; // Explicitly selected camera (null = pick by facing mode)
+        this.activeDeviceId = null; // Device of the running stream
         
         // Source mode (camera or album)
         this.sourceMode = 'camera'; // 'camera' or 'album'
@@ -52,7 +54,87 @@ class CameraApp {
             useDeviceResolution: true,  // Use device's actual pixel resolution
             maxDimension: 2160,         // Maximum dimension limit (2K) for memory safety
             scaleToFit: true,           // Scale canvas to fit screen with CSS
-            referenceWidth: 3840        // 4K reference width for scaling calculations
+            referenceWidth: 3840,       // 4K reference width for scaling calculations
+            width: null,                // Fixed output width (null = device resolution)
+            height: null,               // Fixed output height (null = device resolution)
+            matchOrientation: true,     // Swap fixed width/height to match viewport orientation
+            format: 'DEVICE'            // Current canvas preset key
+        };
+        
+        // Gallery settings (collages are stored in IndexedDB)
+        this.gallerySettings = {
+            dbName: 'joiner',
+            dbVersion: 2,
+            thumbnailSize: 240,     // Long side of gallery thumbnails (pixels)
+            pieceType: 'image/jpeg',
+            pieceQuality: 0.95
+        };
+        
+        // Gallery state
+        this.gallery = {
+            db: null,               // Opened IndexedDB database (lazy)
+            currentId: null,        // Gallery id of the collage being edited
+            dirty: false            // Collage changed since last save/open
+        };
+        
+        // Autosave settings (crash recovery checkpoint of unsaved work)
+        this.autosaveSettings = {
+            interval: 10000         // Checkpoint interval while drawing (ms)
+        };
+        
+        // Autosave state
+        this.autosave = {
+            timer: null,
+            pending: false,         // Collage changed since last checkpoint
+            saving: null            // Promise of the checkpoint in progress
+        };
+        
+        // Export settings
+        // Exports are re-rendered from the retained pieces, whose crops keep the
+        // camera frame resolution, so they can be larger than the on-screen canvas
+        this.exportSettings = {
+            size: '1x',            // Export size preset key (see getExportDimensions)
+            dpi: 300,              // Print resolution for paper size presets
+            maxPixels: 16777216,   // Canvas area limit for memory safety (iOS Safari limit)
+            format: 'png',         // 'png', 'jpeg', 'webp' or 'avif'
+            quality: 0.92,         // Encoder quality for lossy formats (0-1)
+            background: 'transparent', // 'transparent', 'black', 'white' or 'camera' (live frame)
+            extent: 'visible'      // 'visible' (current view) or 'full' (every piece on the virtual canvas)
+        };
+        
+        // Timelapse video settings (collage replayed from piece timestamps)
+        this.timelapseSettings = {
+            speedUpIdle: true,      // Compress pauses between pieces
+            maxIdleGap: 250,        // Longest pause kept when speeding up idle gaps (ms)
+            maxRealtimeGap: 5000,   // Longest pause kept in "Real Time" (shown in the switch label) - reopened collages span sessions (ms)
+            holdDuration: 3000,     // Hold on the final frame (ms)
+            fps: 30,
+            maxSize: 1920,          // Long side of the video (pixels)
+            bitrate: 8000000
+        };
+        
+        // Timelapse state
+        this.timelapse = {
+            recording: false
+        };
+        
+        // Animated PNG (APNG) build-up export settings - one frame per piece
+        this.animationSettings = {
+            frameDelay: 150,        // Delay between frames (ms)
+            finalDelay: 2000,       // Extra delay on the last frame (ms)
+            loopCount: 0,           // Number of plays (0 = loop forever)
+            maxSize: 1080           // Long side of the animation (pixels)
+        };
+        
+        // Provenance metadata embedded in exported images (PNG tEXt/iTXt, JPEG XMP)
+        this.metadataSettings = {
+            enabled: true,
+            artist: 'exonemo'
+        };
+        
+        // Animation export state
+        this.animation = {
+            encoding: false
         };
         
         // Camera resolution settings
@@ -67,6 +149,28 @@ class CameraApp {
             frameRate: { ideal: 30, max: 60 }  // Frame rate settings
         };
         
+        // Manual camera controls (null = leave to the camera); re-applied on every start
+        this.cameraControls = {
+            zoom: null,
+            torch: false,
+            focusDistance: null,         // Meters; setting it switches focus to manual
+            exposureCompensation: null,
+            whiteBalanceMode: null       // 'continuous', 'manual' or 'single-shot'
+        };
+        
+        // Exposure/white-balance lock: the first piece of a collage sets the reference,
+        // the track is held at that exposure where supported, otherwise pieces are matched in software
+        this.exposureLockSettings = {
+            enabled: false,
+            maxGain: 2,          // Limit of the software correction per channel (and 1 / maxGain)
+            sampleCount: 4096    // Pixels sampled when measuring a piece's mean color
+        };
+        this.exposureLock = {
+            reference: null,     // Mean [r, g, b] of the first piece
+            trackValues: null,   // Exposure, white balance and focus settings held on the track
+            hardware: { exposure: false, whiteBalance: false }
+        };
+        
         // Shadow effect settings
         this.shadowSettings = {
             color: 'rgba(0, 0, 0, 0.4)',
@@ -75,6 +179,66 @@ class CameraApp {
             offsetY: 25
         };
         
+        // Piece frame settings (Polaroid, print border, 35mm negative)
+        // Margins are added around the crop; base values are for 4K reference (3840px width)
+        this.frameSettings = {
+            style: 'none',              // 'none', 'polaroid', 'print' or 'negative'
+            paperColor: '#f7f5ef',      // Polaroid and print border color
+            filmColor: '#231a12',       // 35mm negative film base color
+            baseMargins: {
+                polaroid: { top: 40, side: 40, bottom: 150 },
+                print: { top: 18, side: 18, bottom: 18 },
+                negative: { top: 110, side: 24, bottom: 110 }
+            },
+            margins: {}                 // Scaled margins (set by updateScaledSettings)
+        };
+        
+        // Piece shape settings (mask applied to each crop)
+        this.shapeSettings = {
+            shape: 'rectangle',     // 'rectangle', 'circle', 'rounded', 'torn', 'hexagon' or 'lasso'
+            cornerRadius: 0.12,     // Rounded corner radius (fraction of the short side)
+            tornSegments: 14,       // Jagged points per edge of torn paper
+            tornDepth: 0.035,       // Maximum tear depth (fraction of the short side)
+            lassoPoints: null       // User-drawn mask, points normalized to -0.5..0.5 of the piece box
+        };
+        
+        // Color look settings (applied to each crop by processing its pixels - no ctx.filter)
+        this.lookSettings = {
+            look: 'none',           // 'none', 'mono', 'sepia', 'faded', 'cross', 'contrast' or 'random' (per piece)
+            randomLooks: ['mono', 'sepia', 'faded', 'cross', 'contrast']
+        };
+        this.lookTables = {};       // Cached per-look lookup tables
+        
+        // Blend settings for overlapping pieces
+        this.blendSettings = {
+            mode: 'source-over',    // 'source-over', 'multiply', 'screen', 'overlay', 'difference' or 'lighten'
+            opacity: 1              // Opacity of new pieces (0-1)
+        };
+        
+        // Time offset settings (camera pieces sampled from a ring buffer of recent frames)
+        this.timeOffsetSettings = {
+            mode: 'off',            // 'off', 'fixed', 'stroke' (grows with stroke length) or 'jitter'
+            fixedDelay: 1000,       // Delay in 'fixed' mode (milliseconds)
+            strokeStep: 60,         // Extra delay per piece of the current stroke in 'stroke' mode (milliseconds)
+            maxJitter: 2500,        // Largest random delay in 'jitter' mode (milliseconds)
+            bufferDuration: 3000,   // Length of the frame ring buffer (milliseconds)
+            bufferFps: 15,          // Highest buffering rate
+            maxBufferBytes: 160 * 1024 * 1024  // Memory bound (RGBA); large videos keep fewer, sparser frames
+        };
+        
+        // Frame ring buffer state
+        this.frameBuffer = {
+            frames: [],             // { bitmap, time (performance.now()), mediaTime }, oldest first
+            timer: null,            // Buffering loop timer
+            strokePieces: 0         // Pieces captured in the current stroke ('stroke' mode)
+        };
+        
+        // Freeze frame state (camera pieces are cut from one still until unfrozen)
+        this.freezeFrame = {
+            canvas: null,           // Snapshot of the video frame (null = live)
+            mediaTime: null         // video.currentTime of the snapshot
+        };
+        
         // Rotation settings for copied regions
         this.rotationSettings = {
             enabled: true,
@@ -103,10 +267,61 @@ class CameraApp {
         // Touch capture settings
         this.touchSettings = {
             captureInterval: 120,  // Interval between captures during touch move (milliseconds)
-            lastCaptureTime: 0,    // Timestamp of last capture
-            enableContinuousCapture: true,  // Enable/disable continuous capture during touch move
-            holdCaptureTimer: null,  // Timer for continuous capture while holding
-            lastTouchPosition: { x: 0, y: 0 }  // Store last touch position for hold capture
+            enableContinuousCapture: true  // Enable/disable continuous capture during touch move
+        };
+        
+        // Multi-finger painting settings (each finger leaves its own trail)
+        this.multiTouchSettings = {
+            enabled: false,
+            maxFingers: 5,          // Fingers painting at once (more are ignored)
+            longPressDelay: 500,    // Still press that enters resize mode (milliseconds)
+            moveTolerance: 10,      // Movement that turns a press into a stroke (viewport px)
+            minHalfSize: 10         // Smallest half width/height while resizing by drag (viewport px)
+        };
+        
+        // Long press + drag resize state (multi-finger mode)
+        this.longPressResize = {
+            finger: null,           // Finger that is resizing
+            anchorX: 0,             // Finger position when the long press fired
+            anchorY: 0,
+            halfWidth: 0,           // Capture half size at that moment (viewport px)
+            halfHeight: 0
+        };
+        
+        // Dynamic sizing settings (finger speed and pressure control piece size and scatter)
+        this.dynamicSizeSettings = {
+            enabled: false,
+            minScale: 0.35,         // Piece size factor for the fastest swipes / lightest touch
+            maxScale: 1.6,          // Piece size factor for slow presses / full pressure
+            fastSpeed: 2.5,         // Finger speed treated as fastest (viewport px per ms)
+            maxAngleFast: 18,       // Rotation range at the fastest speed (degrees)
+            scatterFast: 2.5,       // Position offset multiplier at the fastest speed
+            pressureWeight: 0.6,    // Share of pressure in the size when the device reports it
+            smoothing: 0.5,         // Low-pass factor for speed and pressure (0-1, higher = more responsive)
+            range: 'normal',        // Size range preset (see setDynamicSizeRange)
+            ranges: {
+                subtle: { minScale: 0.7, maxScale: 1.3 },
+                normal: { minScale: 0.35, maxScale: 1.6 },
+                strong: { minScale: 0.2, maxScale: 2.5 }
+            }
+        };
+        
+        // Pointer input settings
+        this.inputSettings = {
+            penPressureSize: true,  // Pen pressure sizes pieces even when dynamic sizing is off
+            penTiltRotation: 30,    // Rotation at full pen tilt (degrees, 0 = off)
+            wheelZoomSpeed: 0.002,  // Capture size change per wheel pixel
+            pinchZoomSpeed: 0.01,   // Capture size change per Ctrl+wheel (trackpad pinch) pixel
+            wheelCommitDelay: 400   // Idle time before a wheel/trackpad resize is applied (ms)
+        };
+        
+        // Pointer input state
+        this.pointers = new Map();  // pointerId -> finger state (see createFinger())
+        this.wheelResize = {
+            timer: null,            // Commit timer while resizing with wheel/trackpad
+            width: 0,
+            height: 0,
+            gestureScale: 1         // Last Safari gesture scale
         };
         
         // UI button visibility settings
@@ -145,10 +360,76 @@ class CameraApp {
         this.cutSoundPool = [];
         this.cutSoundBuffer = null;
         
-        // Cached canvas for copyVideoRegion (performance optimization)
-        this.cachedRegionCanvas = null;
-        this.cachedRegionCtx = null;
-        this.cachedRegionSize = { width: 0, height: 0 };
+        // Retained collage settings
+        this.collageSettings = {
+            maxRetainedPieces: 300,  // Pieces kept as records in memory (older ones are flattened)
+            baseTileSize: 1920       // Base layer tile size (reference units) - tiles exist only where pieces were flattened
+        };
+        
+        // Retained collage model
+        // Every piece keeps its cropped pixels and its transform in reference units
+        // (pixels of the 4K reference width), so the visible canvas can be re-rendered
+        // exactly at any size instead of rescaling the rasterized canvas
+        this.collage = {
+            pieces: [],            // Piece records in drawing order
+            nextPieceId: 1,
+            baseTiles: new Map(),  // "col,row" -> canvas tile holding pieces flattened beyond maxRetainedPieces
+            baseBounds: null,      // Area covered by flattened pieces (reference units)
+            baseLayerScale: 1,     // Canvas pixels per reference unit of the base layer tiles
+            flattenedCount: 0,     // Number of pieces baked into the base layer
+            provenance: null       // Session the collage was started in (set with its first piece)
+        };
+        
+        // Virtual canvas view - the visible canvas is a window onto unbounded reference space
+        this.viewSettings = {
+            panMode: false,        // One finger pans, two fingers zoom (instead of painting)
+            gestureFingers: 3,     // Fingers that pan/zoom while painting (single-finger mode only)
+            minZoom: 0.1,
+            maxZoom: 4
+        };
+        this.view = {
+            x: 0,                  // Reference units at the canvas top-left corner
+            y: 0,
+            zoom: 1                // 1 = the reference width spans the canvas
+        };
+        
+        // Pan/zoom gesture state (baseline re-taken whenever the finger count changes)
+        this.viewGesture = {
+            active: false,
+            centerX: 0,            // Finger centroid at the baseline (canvas pixels)
+            centerY: 0,
+            spread: 0,             // Mean finger distance from the centroid at the baseline
+            view: null,            // View at the baseline
+            redrawPending: false
+        };
+        
+        // Undo/redo history settings
+        this.historySettings = {
+            undoHoldDelay: 500,      // Long press on undo/redo button before piece-by-piece repeat (ms)
+            undoRepeatInterval: 80   // Interval between piece undos while holding the button (ms)
+        };
+        
+        // Undo/redo history state (undo works on the retained collage pieces)
+        this.history = {
+            redoStack: [],         // Undone pieces (most recently undone at the end)
+            currentStrokeId: 0,    // Stroke id for pieces captured by the active touch
+            nextStrokeId: 1,
+            holdTimer: null        // Timer for undo/redo button long press
+        };
+        
+        // Random settings (rotation, offset and shadow jitter of captured pieces)
+        this.randomSettings = {
+            seed: null             // Fixed session seed for reproducible sessions (null = random)
+        };
+        
+        // Session random generator - each capture draws its own seed from it
+        // (setRandomSeed also starts the capture recorder)
+        this.random = {
+            seed: 0,
+            next: null
+        };
+        this.recorder = null;
+        this.setRandomSeed(this.randomSettings.seed);
         
         // Cached getBoundingClientRect for touch handling (performance optimization)
         this.cachedTouchRect = null;
@@ -157,6 +438,10 @@ class CameraApp {
         this.initShutterSound();
         this.initCutSound();
         
+        // Sensor settings are read by the setting loaders on window load, before init() completes
+        this.setupShakeDetection();
+        this.setupOrientationTracking();
+        
         this.init();
     }
     
@@ -212,6 +497,8 @@ class CameraApp {
         this.saveBtn = document.getElementById('saveBtn');
         this.clearBtn = document.getElementById('clearBtn');
         this.switchCamBtn = document.getElementById('switchCamBtn');
+        this.freezeBtn = document.getElementById('freezeBtn');
+        this.panBtn = document.getElementById('panBtn');
         this.statusDisplay = document.getElementById('statusDisplay');
         this.errorDisplay = document.getElementById('errorDisplay');
         this.controlPanel = document.getElementById('controlPanel');
@@ -231,6 +518,11 @@ class CameraApp {
         // Setup event listeners
         this.setupEventListeners();
         
+        // Offer to restore work from a session that ended without saving
+        // (before the camera, so album-only use and camera failures don't hold it up)
+        await this.offerAutosaveRestore();
+        this.startAutosave();
+        
         // Check camera support after DOM elements are ready
         const cameraSupported = this.checkCameraSupport();
         if (!cameraSupported) {
@@ -241,9 +533,6 @@ class CameraApp {
         // Auto-start camera
         await this.startCamera();
         
-        // Setup shake detection
-        this.setupShakeDetection();
-        
         this.isInitialized = true;
         if (DEBUG_MODE) console.log('Camera app initialization complete');
     }
@@ -639,6 +928,29 @@ class CameraApp {
         // Panel minimize/expand controls
         this.setupPanelControls();
         
+        // Undo/redo buttons
+        this.setupHistoryButtons();
+        
+        // Freeze frame button
+        if (this.freezeBtn) {
+            this.freezeBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleFreezeFrame();
+            });
+        }
+        
+        // Pan mode button (double tap returns to the initial view)
+        if (this.panBtn) {
+            this.panBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.togglePanMode();
+            });
+            this.panBtn.addEventListener('dblclick', (e) => {
+                e.stopPropagation();
+                this.resetView();
+            });
+        }
+        
         // Interval slider control
         const intervalSlider = document.getElementById('intervalSlider');
         const intervalValue = document.getElementById('intervalValue');
@@ -673,6 +985,38 @@ class CameraApp {
                     e.preventDefault();
                     this.togglePanel();
                     break;
+                case 'z':
+                case 'Z':
+                    // Z = undo piece, Ctrl/Cmd+Z = undo stroke, with Shift = redo
+                    e.preventDefault();
+                    if (e.shiftKey) {
+                        this.redo(e.ctrlKey || e.metaKey);
+                    } else {
+                        this.undo(e.ctrlKey || e.metaKey);
+                    }
+                    break;
+                case 'y':
+                case 'Y':
+                    // Y = redo piece, Ctrl/Cmd+Y = redo stroke
+                    e.preventDefault();
+                    this.redo(e.ctrlKey || e.metaKey);
+                    break;
+                case 'h':
+                case 'H':
+                    // H = toggle pan mode (hand tool)
+                    e.preventDefault();
+                    this.togglePanMode();
+                    break;
+                case '0':
+                    // 0 = back to the initial view
+                    e.preventDefault();
+                    this.resetView();
+                    break;
+                case ' ':
+                    // Space = freeze / unfreeze the camera frame
+                    e.preventDefault();
+                    this.toggleFreezeFrame();
+                    break;
                 case 'Escape':
                     if (this.isFullscreen) {
                         this.exitFullscreen();
@@ -714,7 +1058,7 @@ class CameraApp {
         });
         
         // Touch canvas events for video copying
-        this.setupTouchEvents();
+        this.setupPointerEvents();
         
         // Video metadata loaded event
         this.video.addEventListener('loadedmetadata', () => {
@@ -789,6 +1133,8 @@ class CameraApp {
             }
         } else if (document.visibilityState === 'hidden') {
             if (DEBUG_MODE) console.log('Page became hidden');
+            // The tab may be killed while in background - checkpoint unsaved work now
+            this.checkpointCollage();
         }
     }
     
@@ -873,8 +1219,8 @@ class CameraApp {
             // Set flag to skip canvas resize on loadedmetadata event
             this.skipCanvasResize = true;
             
-            // Re-acquire camera
-            await this.startCamera();
+            // Re-acquire the same device so recovery never jumps to another lens
+            await this.startCamera(this.activeDeviceId || this.cameraDeviceId);
             
             if (DEBUG_MODE) console.log('Camera restarted successfully');
         } catch (error) {
@@ -905,33 +1251,42 @@ class CameraApp {
     }
     
     async requestShakePermission() {
-        // Check if DeviceMotionEvent is available
-        if (typeof DeviceMotionEvent === 'undefined') {
-            console.warn('DeviceMotionEvent not supported');
+        const granted = await this.requestSensorPermission('DeviceMotion');
+        if (granted) {
+            this.shakeSettings.permissionGranted = true;
+        }
+        return granted;
+    }
+    
+    // Shared permission flow for motion and orientation sensors ('DeviceMotion' or 'DeviceOrientation')
+    async requestSensorPermission(sensor) {
+        const EventType = window[`${sensor}Event`];
+        
+        // Check if the event type is available
+        if (typeof EventType === 'undefined') {
+            console.warn(`${sensor}Event not supported`);
             return false;
         }
         
         // For non-iOS or older iOS, permission not needed
-        if (typeof DeviceMotionEvent.requestPermission !== 'function') {
-            this.shakeSettings.permissionGranted = true;
+        if (typeof EventType.requestPermission !== 'function') {
             return true;
         }
         
         // iOS 13+ - request permission
         try {
-            if (DEBUG_MODE) console.log('Requesting DeviceMotion permission...');
-            const permission = await DeviceMotionEvent.requestPermission();
-            if (DEBUG_MODE) console.log('DeviceMotion permission result:', permission);
+            if (DEBUG_MODE) console.log(`Requesting ${sensor} permission...`);
+            const permission = await EventType.requestPermission();
+            if (DEBUG_MODE) console.log(`${sensor} permission result:`, permission);
             
             if (permission === 'granted') {
-                this.shakeSettings.permissionGranted = true;
                 return true;
             } else {
-                console.warn('DeviceMotion permission denied');
+                console.warn(`${sensor} permission denied`);
                 return false;
             }
         } catch (error) {
-            console.error('DeviceMotion permission error:', error);
+            console.error(`${sensor} permission error:`, error);
             return false;
         }
     }
@@ -1024,6 +1379,146 @@ class CameraApp {
         this.updateStatus('Canvas cleared by shake');
     }
     
+    setupOrientationTracking() {
+        // Panoramic joiner settings - pieces are placed by where the phone points
+        this.panoramaSettings = {
+            enabled: false,  // Controlled by toggle switch
+            fieldOfView: 50,  // Degrees across the canvas width in the live view (approximate camera FOV)
+            scale: 0.5,  // Panorama scale (0.5 = the canvas spans twice the field of view)
+            followMargin: 0.2,  // The view pans to keep new pieces this far (fraction of the canvas) inside its edges
+            permissionGranted: false  // Track if permission was granted
+        };
+        
+        // Latest camera direction (degrees) and the heading the panorama is centered on
+        this.orientation = {
+            yaw: null,  // Heading, clockwise (null = no reading yet)
+            pitch: 0,  // Elevation above the horizon
+            originYaw: null  // Heading at the first piece, shown at the canvas center
+        };
+        
+        if (typeof DeviceOrientationEvent !== 'undefined') {
+            // For non-iOS or older iOS, permission not needed
+            if (typeof DeviceOrientationEvent.requestPermission !== 'function') {
+                this.panoramaSettings.permissionGranted = true;
+            }
+        }
+    }
+    
+    async requestOrientationPermission() {
+        const granted = await this.requestSensorPermission('DeviceOrientation');
+        if (granted) {
+            this.panoramaSettings.permissionGranted = true;
+        }
+        return granted;
+    }
+    
+    enablePanoramaMode() {
+        if (!this.panoramaSettings.permissionGranted) {
+            console.warn('Cannot enable panorama mode - permission not granted');
+            return false;
+        }
+        
+        if (this.panoramaSettings.enabled) {
+            return true; // Already enabled
+        }
+        
+        this.panoramaSettings.enabled = true;
+        this.orientation.originYaw = null;
+        
+        if (!this.orientationHandler) {
+            // Accepts real and synthetic events (anything with alpha/beta/gamma)
+            this.orientationHandler = (event) => this.handleOrientation(event);
+            window.addEventListener('deviceorientation', this.orientationHandler);
+        }
+        
+        this.updateStatus('Panorama mode enabled');
+        return true;
+    }
+    
+    disablePanoramaMode() {
+        this.panoramaSettings.enabled = false;
+        
+        if (this.orientationHandler) {
+            window.removeEventListener('deviceorientation', this.orientationHandler);
+            this.orientationHandler = null;
+        }
+        this.orientation.yaw = null;
+        this.updateStatus('Panorama mode disabled');
+    }
+    
+    // Convert device orientation (W3C Z-X'-Y'' Euler angles) to the direction of the back camera
+    // Test without sensors: cameraApp.handleOrientation({ alpha: 30, beta: 90, gamma: 0 })
+    handleOrientation(event) {
+        if (event.alpha === null || event.beta === null || event.gamma === null ||
+            event.alpha === undefined || event.beta === undefined || event.gamma === undefined) {
+            return;
+        }
+        
+        const toRadians = Math.PI / 180;
+        const alpha = event.alpha * toRadians;
+        const beta = event.beta * toRadians;
+        const gamma = event.gamma * toRadians;
+        
+        // Device -Z axis (out of the back camera) rotated into east/north/up world coordinates
+        const east = -Math.cos(alpha) * Math.sin(gamma) - Math.sin(alpha) * Math.sin(beta) * Math.cos(gamma);
+        const north = -Math.sin(alpha) * Math.sin(gamma) + Math.cos(alpha) * Math.sin(beta) * Math.cos(gamma);
+        const up = -Math.cos(beta) * Math.cos(gamma);
+        
+        this.orientation.yaw = (Math.atan2(east, north) / toRadians + 360) % 360;
+        this.orientation.pitch = Math.asin(Math.max(-1, Math.min(1, up))) / toRadians;
+    }
+    
+    // Canvas position and scale of a piece in panorama mode (null = place under the finger)
+    // Heading moves pieces across, elevation up and down; the touch point stays relative to the heading
+    // Positions are on the unpanned canvas, so the panorama stays put while the view follows it
+    getPanoramaPlacement(canvasX, canvasY) {
+        const state = this.orientation;
+        if (!this.panoramaSettings?.enabled || state.yaw === null) {
+            return null;
+        }
+        
+        if (state.originYaw === null) {
+            state.originYaw = state.yaw;
+        }
+        
+        const settings = this.panoramaSettings;
+        const width = this.touchCanvas.width;
+        const height = this.touchCanvas.height;
+        const pixelsPerDegree = width / settings.fieldOfView;
+        
+        // Heading relative to the first piece, wrapped to -180..180
+        const yaw = ((state.yaw - state.originYaw) % 360 + 540) % 360 - 180;
+        
+        return {
+            x: width / 2 + (yaw * pixelsPerDegree + canvasX - width / 2) * settings.scale,
+            y: height / 2 + (-state.pitch * pixelsPerDegree + canvasY - height / 2) * settings.scale,
+            scale: settings.scale,
+            yaw: yaw,
+            pitch: state.pitch
+        };
+    }
+    
+    // Pan the view just enough to keep a panorama position (unpanned canvas pixels) in sight
+    followPanorama(position) {
+        const unitScale = this.getUnitScale();
+        const zoom = this.view.zoom;
+        const width = this.touchCanvas.width;
+        const height = this.touchCanvas.height;
+        const marginX = width * this.panoramaSettings.followMargin;
+        const marginY = height * this.panoramaSettings.followMargin;
+        
+        // Where the position is on the visible canvas
+        const visibleX = (position.x - this.view.x * unitScale) * zoom;
+        const visibleY = (position.y - this.view.y * unitScale) * zoom;
+        
+        const shiftX = Math.min(0, visibleX - marginX) + Math.max(0, visibleX - (width - marginX));
+        const shiftY = Math.min(0, visibleY - marginY) + Math.max(0, visibleY - (height - marginY));
+        if (shiftX === 0 && shiftY === 0) return;
+        
+        const viewScale = unitScale * zoom;
+        this.setView(this.view.x + shiftX / viewScale, this.view.y + shiftY / viewScale);
+    }
+    
     setupPanelControls() {
         // Get panel elements
         this.controlPanel = document.getElementById('controlPanel');
@@ -1117,20 +1612,64 @@ class CameraApp {
         document.addEventListener('click', unlockAudio, { once: true });
     }
     
-    setupTouchEvents() {
-        // Touch events with pinch gesture support
-        this.touchCanvas.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: false });
-        this.touchCanvas.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: false });
-        this.touchCanvas.addEventListener('touchend', (e) => this.handleTouchEnd(e), { passive: false });
-        this.touchCanvas.addEventListener('touchcancel', (e) => this.handleTouchCancel(e), { passive: false });
-        
-        // Mouse events for desktop (single point only)
-        this.touchCanvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
-        this.touchCanvas.addEventListener('mousemove', (e) => this.handleMouseMove(e));
-        this.touchCanvas.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+    // Unified Pointer Events input: touch, mouse and pen share the same capture and resize paths
+    setupPointerEvents() {
+        this.touchCanvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.touchCanvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.touchCanvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.touchCanvas.addEventListener('pointercancel', (e) => this.handlePointerCancel(e));
+        
+        // Mouse wheel / Ctrl+wheel (also trackpad pinch in Chrome and Firefox) resizes the capture rectangle
+        this.touchCanvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        
+        // Safari trackpad pinch (gesture events); on iOS touch pinch is handled by pointers instead
+        this.touchCanvas.addEventListener('gesturestart', (e) => this.handleGesture(e), { passive: false });
+        this.touchCanvas.addEventListener('gesturechange', (e) => this.handleGesture(e), { passive: false });
+        this.touchCanvas.addEventListener('gestureend', (e) => this.handleGesture(e), { passive: false });
+        
+        // Prevent the long-press context menu from interrupting hold capture
+        this.touchCanvas.addEventListener('contextmenu', (e) => e.preventDefault());
+    }
+    
+    // Active pointers on the canvas (latest position per pointerId)
+    getActivePointers() {
+        return Array.from(this.pointers.values());
+    }
+    
+    // Per-pointer state: every finger has its own hold timer, capture position and dynamics
+    createFinger(e) {
+        return {
+            clientX: e.clientX,
+            clientY: e.clientY,
+            pointerType: e.pointerType,
+            startX: e.clientX,      // Press position (long press detection)
+            startY: e.clientY,
+            canvasX: 0,             // Last capture position for hold capture (canvas coordinates)
+            canvasY: 0,
+            lastCaptureTime: 0,     // Timestamp of this finger's last capture
+            holdCaptureTimer: null, // Timer for continuous capture while holding
+            longPressTimer: null,   // Multi-finger mode: pending long press resize
+            moved: false,           // Multi-finger mode: press has turned into a stroke
+            dynamics: this.createDynamics(e.clientX, e.clientY)
+        };
+    }
+    
+    // Dynamic sizing state (updated by every handleSingleTouch sample of a finger)
+    createDynamics(x = 0, y = 0) {
+        return {
+            lastX: x,
+            lastY: y,
+            lastTime: Date.now(),
+            speed: 0,               // Smoothed finger speed (viewport px per ms)
+            pressure: null,         // Smoothed pressure (null = not reported by the device)
+            tiltX: 0                // Pen tilt of the latest sample (degrees)
+        };
     }
     
-    handleTouchStart(e) {
+    handlePointerDown(e) {
+        // Only the primary mouse button paints
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        
         e.preventDefault();
         
         // Reset audio blocked flag on user gesture (user interaction may unlock audio)
@@ -1140,12 +1679,11 @@ class CameraApp {
         
         // In standalone mode, ignore touches in the bottom safe area to prevent
         // accidental triggers when swiping up to close the app
-        if (this.isStandalone && e.touches.length > 0) {
-            const touch = e.touches[0];
+        if (this.isStandalone && e.pointerType !== 'mouse') {
             const bottomSafeZone = 50; // pixels from bottom to ignore
             const viewportHeight = window.innerHeight;
             
-            if (touch.clientY > viewportHeight - bottomSafeZone) {
+            if (e.clientY > viewportHeight - bottomSafeZone) {
                 if (DEBUG_MODE) console.log('Touch ignored in bottom safe zone (standalone mode)');
                 return;
             }
@@ -1156,52 +1694,101 @@ class CameraApp {
             return;
         }
         
+        const multiTouch = this.multiTouchSettings.enabled;
+        if (multiTouch && this.pointers.size >= this.multiTouchSettings.maxFingers) return;
+        
+        // Keep receiving moves for this pointer even outside the canvas
+        this.touchCanvas.setPointerCapture?.(e.pointerId);
+        const finger = this.createFinger(e);
+        this.pointers.set(e.pointerId, finger);
+        
         // Hide UI buttons when touch starts
         this.hideUIButtons();
         
-        const touches = Array.from(e.touches);
+        if (this.viewSettings.panMode) {
+            // Pan mode - fingers move and zoom the virtual canvas instead of painting
+            this.beginViewGesture();
+            return;
+        }
+        
+        if (multiTouch) {
+            this.handleMultiTouchDown(e, finger);
+            return;
+        }
         
-        if (touches.length === 2) {
-            // Two fingers - enter resize mode
+        const pointers = this.getActivePointers();
+        
+        if (this.viewGesture.active || pointers.length >= this.viewSettings.gestureFingers) {
+            // Three fingers - pan and zoom the virtual canvas
+            this.stopHoldCapture();
+            this.cancelResizeMode();
+            this.beginViewGesture();
+        } else if (pointers.length === 2) {
+            // Two pointers - enter resize mode
             this.stopHoldCapture();
-            this.enterResizeMode(touches);
-        } else if (touches.length === 1 && !this.resizeMode.active) {
-            // Single finger - normal capture and start hold timer
-            this.handleSingleTouch(e);
-            this.startHoldCapture(e);
+            this.enterResizeMode(pointers);
+        } else if (pointers.length === 1 && !this.resizeMode.active) {
+            // Single pointer - normal capture and start hold timer
+            this.beginStroke();
+            this.handleSingleTouch(e, finger);
+            this.startHoldCapture(finger);
         }
     }
     
-    handleTouchMove(e) {
+    handlePointerMove(e) {
+        // Ignore hover (mouse/pen moving without a pressed button)
+        const finger = this.pointers.get(e.pointerId);
+        if (!finger) return;
+        
         e.preventDefault();
+        finger.clientX = e.clientX;
+        finger.clientY = e.clientY;
+        
+        if (this.viewGesture.active) {
+            this.updateViewGesture();
+            return;
+        }
         
-        const touches = Array.from(e.touches);
+        if (this.multiTouchSettings.enabled) {
+            this.handleMultiTouchMove(e, finger);
+            return;
+        }
         
-        if (touches.length === 2) {
+        const pointers = this.getActivePointers();
+        
+        if (pointers.length === 2) {
             if (!this.resizeMode.active) {
                 // If not in resize mode, enter it
                 this.stopHoldCapture();
-                this.enterResizeMode(touches);
+                this.enterResizeMode(pointers);
             } else {
                 // Update resize mode smoothly
-                this.updateResizeMode(touches);
-            }
-        } else if (touches.length === 1 && !this.resizeMode.active) {
-            // Single finger - continuous capture and update position
-            this.handleSingleTouch(e);
-            this.updateHoldCapturePosition(e);
-        } else if (touches.length === 0 && this.resizeMode.active) {
-            // All fingers lifted while in resize mode
-            this.exitResizeMode();
+                this.updateResizeMode(pointers);
+            }
+        } else if (pointers.length === 1 && !this.resizeMode.active) {
+            // Single pointer - continuous capture and update position
+            this.handleSingleTouch(e, finger);
+            this.updateHoldCapturePosition(e, finger);
         }
     }
     
-    handleTouchEnd(e) {
-        e.preventDefault();
+    handlePointerUp(e) {
+        const finger = this.pointers.get(e.pointerId);
+        if (!finger) return;
         
-        if (e.touches.length === 0) {
-            // Stop hold capture when all fingers lifted
-            this.stopHoldCapture();
+        this.pointers.delete(e.pointerId);
+        this.stopHoldCapture(finger);
+        clearTimeout(finger.longPressTimer);
+        
+        if (this.viewGesture.active) {
+            this.continueViewGesture();
+        } else if (this.multiTouchSettings.enabled && !finger.moved && !this.resizeMode.active) {
+            // Multi-finger mode: a short still tap leaves a single piece
+            this.handleSingleTouch(e, finger);
+        }
+        
+        if (this.pointers.size === 0) {
+            this.endStroke();
             
             // Schedule UI buttons to fade in after delay
             this.scheduleShowUIButtons();
@@ -1213,41 +1800,29 @@ class CameraApp {
         }
     }
     
-    handleMouseDown(e) {
-        if (!this.resizeMode.active) {
-            // Hide UI buttons when mouse down
-            this.hideUIButtons();
-            this.handleSingleTouch(e);
-            this.startHoldCapture(e);
-        }
-    }
-    
-    handleMouseMove(e) {
-        if (e.buttons === 1 && !this.resizeMode.active) {
-            this.handleSingleTouch(e);
-            this.updateHoldCapturePosition(e);
-        }
-    }
-    
-    handleMouseUp(e) {
-        // Stop hold capture when mouse button released
-        this.stopHoldCapture();
-        
-        // Schedule UI buttons to fade in after delay
-        this.scheduleShowUIButtons();
-    }
-    
-    handleTouchCancel(e) {
-        // Touch was interrupted (system gesture, incoming call, etc.)
+    handlePointerCancel(e) {
+        // Pointer was interrupted (system gesture, incoming call, etc.)
         // Reset all touch-related state to prevent freeze
-        if (DEBUG_MODE) console.log('Touch cancelled - resetting state');
+        if (DEBUG_MODE) console.log('Pointer cancelled - resetting state');
         
-        // Stop hold capture timer
-        this.stopHoldCapture();
+        const finger = this.pointers.get(e.pointerId);
+        if (finger) {
+            // Stop this finger's timers
+            this.stopHoldCapture(finger);
+            clearTimeout(finger.longPressTimer);
+            this.pointers.delete(e.pointerId);
+        }
         
-        // Exit resize mode if active
-        if (this.resizeMode.active) {
-            this.exitResizeMode();
+        if (this.viewGesture.active) {
+            this.continueViewGesture();
+        }
+        
+        // Exit resize mode once no pointer is left
+        if (this.pointers.size === 0) {
+            this.endStroke();
+            if (this.resizeMode.active) {
+                this.exitResizeMode();
+            }
         }
         
         // Schedule UI buttons to fade in
@@ -1258,121 +1833,464 @@ class CameraApp {
         this.cachedTouchRectTime = 0;
     }
     
-    handleSingleTouch(e) {
-        if (!this.isSourceReady()) {
-            return;
+    // Multi-finger mode: capture starts once a finger moves (or on a short tap),
+    // a still long press followed by a drag resizes the capture area instead
+    handleMultiTouchDown(e, finger) {
+        if (this.pointers.size === 1) {
+            // Fingers that touch together are undone as one stroke
+            this.beginStroke();
         }
         
-        // Check time interval for continuous capture
-        const now = Date.now();
-        const isMove = e.type === 'touchmove' || (e.type === 'mousemove' && e.buttons === 1);
+        if (this.resizeMode.active) return;
         
-        if (isMove && this.touchSettings.enableContinuousCapture) {
-            const timeSinceLastCapture = now - this.touchSettings.lastCaptureTime;
-            if (timeSinceLastCapture < this.touchSettings.captureInterval) {
-                return;
+        finger.longPressTimer = setTimeout(() => {
+            finger.longPressTimer = null;
+            this.handleLongPress(finger);
+        }, this.multiTouchSettings.longPressDelay);
+    }
+    
+    handleMultiTouchMove(e, finger) {
+        if (this.resizeMode.active) {
+            if (finger === this.longPressResize.finger) {
+                this.updateResizeMode(this.getLongPressCorners(finger));
             }
+            return;
         }
         
-        this.touchSettings.lastCaptureTime = now;
-        
-        // Get touch position with cached getBoundingClientRect (performance optimization)
-        // Cache is valid for 100ms to avoid excessive reflow
-        if (!this.cachedTouchRect || (now - this.cachedTouchRectTime) > 100) {
-            this.cachedTouchRect = this.touchCanvas.getBoundingClientRect();
-            this.cachedTouchRectTime = now;
+        if (!finger.moved) {
+            const distance = Math.hypot(e.clientX - finger.startX, e.clientY - finger.startY);
+            if (distance < this.multiTouchSettings.moveTolerance) return;
+            
+            // Press turned into a stroke - this finger paints its own trail from now on
+            clearTimeout(finger.longPressTimer);
+            finger.longPressTimer = null;
+            finger.moved = true;
+            this.handleSingleTouch(e, finger);
+            this.startHoldCapture(finger);
+            return;
         }
-        const rect = this.cachedTouchRect;
-        let clientX, clientY;
         
-        if (e.type.startsWith('touch')) {
-            const touch = e.touches[0] || e.changedTouches[0];
-            clientX = touch.clientX;
-            clientY = touch.clientY;
-        } else {
-            clientX = e.clientX;
-            clientY = e.clientY;
+        this.handleSingleTouch(e, finger);
+        this.updateHoldCapturePosition(e, finger);
+    }
+    
+    handleLongPress(finger) {
+        if (this.resizeMode.active || !this.isSourceReady()) return;
+        
+        if (this.pointers.size > 1) {
+            // Other fingers are painting - a resting finger piles up pieces like hold capture
+            finger.moved = true;
+            this.handleSingleTouch({ type: 'pointerdown', clientX: finger.clientX, clientY: finger.clientY, pointerType: finger.pointerType }, finger);
+            this.startHoldCapture(finger);
+            return;
         }
         
-        const x = clientX - rect.left;
-        const y = clientY - rect.top;
-        
-        // Apply finger offset for better visibility (capture above finger position)
-        const fingerOffsetY = 40; // pixels above finger for better visibility
-        const adjustedY = Math.max(0, y - fingerOffsetY);
-        
-        const canvasX = x * this.scaleFactorX;
-        const canvasY = adjustedY * this.scaleFactorY;
-        
-        // Store last touch position for hold capture
-        this.touchSettings.lastTouchPosition.x = canvasX;
-        this.touchSettings.lastTouchPosition.y = canvasY;
+        // Resize around the press point, dragging right/down grows the area
+        const state = this.longPressResize;
+        state.finger = finger;
+        state.anchorX = finger.clientX;
+        state.anchorY = finger.clientY;
+        state.halfWidth = this.copySettings.width / this.scaleFactorX / 2;
+        state.halfHeight = this.copySettings.height / this.scaleFactorY / 2;
         
-        this.copyVideoRegion(canvasX, canvasY);
+        this.enterResizeMode(this.getLongPressCorners(finger));
     }
     
-    startHoldCapture(e) {
-        // Clear any existing timer
-        this.stopHoldCapture();
-        
-        // Start interval timer for continuous capture while holding
-        if (this.touchSettings.enableContinuousCapture) {
-            this.touchSettings.holdCaptureTimer = setInterval(() => {
-                this.performHoldCapture();
-            }, this.touchSettings.captureInterval);
-        }
+    // Two virtual corner points for the pinch resize preview, centered where the piece would be captured
+    // (captures sit 40px above the finger, the pinch preview is drawn 30px above the fingers)
+    getLongPressCorners(finger) {
+        const state = this.longPressResize;
+        const minHalfSize = this.multiTouchSettings.minHalfSize;
+        const halfWidth = Math.max(minHalfSize, state.halfWidth + finger.clientX - state.anchorX);
+        const halfHeight = Math.max(minHalfSize, state.halfHeight + finger.clientY - state.anchorY);
+        const centerY = state.anchorY - 40 + 30;
+        
+        return [
+            { clientX: state.anchorX - halfWidth, clientY: centerY - halfHeight },
+            { clientX: state.anchorX + halfWidth, clientY: centerY + halfHeight }
+        ];
     }
     
-    updateHoldCapturePosition(e) {
-        if (!this.isSourceReady()) {
+    setMultiTouchEnabled(enabled) {
+        this.multiTouchSettings.enabled = enabled;
+        if (DEBUG_MODE) console.log('Multi-finger painting:', enabled ? 'enabled' : 'disabled');
+    }
+    
+    handleWheel(e) {
+        e.preventDefault();
+        if (this.pointers.size > 0 && !this.wheelResize.timer) return;
+        
+        if (this.viewSettings.panMode) {
+            this.handleViewWheel(e);
             return;
         }
         
-        // Use cached getBoundingClientRect (performance optimization)
-        const now = Date.now();
-        if (!this.cachedTouchRect || (now - this.cachedTouchRectTime) > 100) {
+        // Ctrl+wheel is also what trackpad pinch sends - it reports much smaller deltas
+        const speed = e.ctrlKey ? this.inputSettings.pinchZoomSpeed : this.inputSettings.wheelZoomSpeed;
+        const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY; // Lines to pixels
+        this.resizeCaptureBy(Math.exp(-delta * speed), e.clientX, e.clientY);
+    }
+    
+    handleGesture(e) {
+        e.preventDefault();
+        
+        // Touch pinch on iOS also fires gesture events - pointers already handle it
+        if (this.pointers.size > 0) return;
+        
+        if (e.type === 'gesturestart') {
+            this.wheelResize.gestureScale = 1;
+        } else if (e.type === 'gesturechange') {
+            const factor = e.scale / (this.wheelResize.gestureScale || 1);
+            if (this.viewSettings.panMode) {
+                const point = this.clientToCanvasPixels(e.clientX, e.clientY);
+                this.zoomViewAt(factor, point.x, point.y);
+            } else {
+                this.resizeCaptureBy(factor, e.clientX, e.clientY);
+            }
+            this.wheelResize.gestureScale = e.scale;
+        }
+    }
+    
+    // Pan mode: Ctrl+wheel (trackpad pinch) zooms around the cursor, scrolling pans
+    handleViewWheel(e) {
+        const lineHeight = e.deltaMode === 1 ? 16 : 1; // Lines to pixels
+        
+        if (e.ctrlKey) {
+            const point = this.clientToCanvasPixels(e.clientX, e.clientY);
+            this.zoomViewAt(Math.exp(-e.deltaY * lineHeight * this.inputSettings.pinchZoomSpeed), point.x, point.y);
+            return;
+        }
+        
+        const scale = this.getViewScale();
+        const pixels = this.clientToCanvasPixels(e.deltaX * lineHeight, e.deltaY * lineHeight, false);
+        this.setView(this.view.x + pixels.x / scale, this.view.y + pixels.y / scale);
+    }
+    
+    // Viewport (client) coordinates -> visible canvas pixels; relative = false converts a distance
+    clientToCanvasPixels(clientX, clientY, relative = true) {
+        const rect = relative ? this.touchCanvas.getBoundingClientRect() : { left: 0, top: 0 };
+        return {
+            x: (clientX - rect.left) * this.scaleFactorX,
+            y: (clientY - rect.top) * this.scaleFactorY
+        };
+    }
+    
+    // Pan/zoom gesture: the reference point under the finger centroid follows the fingers,
+    // the finger spread (two or more fingers) sets the zoom
+    measureViewGesture() {
+        const points = this.getActivePointers().map(finger => this.clientToCanvasPixels(finger.clientX, finger.clientY));
+        const centerX = points.reduce((sum, point) => sum + point.x, 0) / points.length;
+        const centerY = points.reduce((sum, point) => sum + point.y, 0) / points.length;
+        const spread = points.reduce((sum, point) => sum + Math.hypot(point.x - centerX, point.y - centerY), 0) / points.length;
+        return { centerX: centerX, centerY: centerY, spread: spread };
+    }
+    
+    beginViewGesture() {
+        const measure = this.measureViewGesture();
+        Object.assign(this.viewGesture, measure, { active: true, view: { ...this.view } });
+    }
+    
+    updateViewGesture() {
+        const gesture = this.viewGesture;
+        const measure = this.measureViewGesture();
+        
+        const factor = gesture.spread > 0 && measure.spread > 0 ? measure.spread / gesture.spread : 1;
+        const zoom = Math.max(this.viewSettings.minZoom, Math.min(this.viewSettings.maxZoom, gesture.view.zoom * factor));
+        const startScale = this.getUnitScale() * gesture.view.zoom;
+        const scale = this.getUnitScale() * zoom;
+        
+        const pointX = gesture.view.x + gesture.centerX / startScale;
+        const pointY = gesture.view.y + gesture.centerY / startScale;
+        this.setView(pointX - measure.centerX / scale, pointY - measure.centerY / scale, zoom);
+    }
+    
+    // A finger was lifted - the others continue from the current view, or the gesture ends
+    continueViewGesture() {
+        if (this.pointers.size > 0) {
+            this.beginViewGesture();
+        } else {
+            this.viewGesture.active = false;
+            if (DEBUG_MODE) console.log('View:', this.view);
+        }
+    }
+    
+    setPanMode(enabled) {
+        this.viewSettings.panMode = enabled;
+        this.touchCanvas?.classList.toggle('panning', enabled);
+        if (this.panBtn) {
+            this.panBtn.classList.toggle('active', enabled);
+            this.panBtn.setAttribute('aria-pressed', String(enabled));
+        }
+        this.updateStatus(enabled ? 'Pan mode: drag to move, pinch to zoom' : 'Paint mode');
+    }
+    
+    togglePanMode() {
+        this.setPanMode(!this.viewSettings.panMode);
+    }
+    
+    // Scale the capture rectangle around a viewport point, previewed with the pinch resize preview
+    // The new size is applied once the wheel/trackpad has been idle for wheelCommitDelay
+    resizeCaptureBy(factor, clientX, clientY) {
+        if (!this.isSourceReady() || !isFinite(factor) || factor <= 0) return;
+        
+        const rect = this.touchCanvas.getBoundingClientRect();
+        const state = this.wheelResize;
+        if (!state.timer) {
+            state.width = this.copySettings.width;
+            state.height = this.copySettings.height;
+        }
+        
+        // Keep the aspect ratio; limit to the capture size range of setCaptureSize()
+        const minFactor = 50 / Math.min(state.width, state.height);
+        const maxFactor = 2000 / Math.max(state.width, state.height);
+        factor = Math.max(minFactor, Math.min(maxFactor, factor));
+        state.width *= factor;
+        state.height *= factor;
+        
+        // Two virtual corner points drive the same preview as a two-finger pinch
+        // (the pinch preview is drawn 30px above the fingers)
+        const halfWidth = state.width / this.scaleFactorX / 2;
+        const halfHeight = state.height / this.scaleFactorY / 2;
+        const centerX = Math.max(rect.left, Math.min(rect.right, clientX));
+        const centerY = Math.max(rect.top, Math.min(rect.bottom, clientY)) + 30;
+        const corners = [
+            { clientX: centerX - halfWidth, clientY: centerY - halfHeight },
+            { clientX: centerX + halfWidth, clientY: centerY + halfHeight }
+        ];
+        
+        if (!this.resizeMode.active) {
+            this.enterResizeMode(corners);
+        } else {
+            this.updateResizeMode(corners);
+        }
+        
+        clearTimeout(state.timer);
+        state.timer = setTimeout(() => {
+            state.timer = null;
+            if (this.resizeMode.active) {
+                this.exitResizeMode();
+                // Use the exact scaled size (the preview rectangle is clamped to the canvas)
+                this.setCaptureSize(Math.round(state.width), Math.round(state.height));
+                this.updateStatus(`Capture size: ${this.copySettings.width}x${this.copySettings.height}`);
+            }
+        }, this.inputSettings.wheelCommitDelay);
+    }
+    
+    handleSingleTouch(e, finger) {
+        if (!this.isSourceReady()) {
+            return;
+        }
+        
+        // Check time interval for continuous capture (per finger)
+        const now = Date.now();
+        const isMove = e.type === 'pointermove';
+        
+        if (this.dynamicSizeSettings.enabled || e.pointerType === 'pen') {
+            this.updateDynamics(e, isMove, now, finger.dynamics);
+        }
+        
+        if (isMove && this.touchSettings.enableContinuousCapture) {
+            const timeSinceLastCapture = now - finger.lastCaptureTime;
+            if (timeSinceLastCapture < this.touchSettings.captureInterval) {
+                return;
+            }
+        }
+        
+        finger.lastCaptureTime = now;
+        
+        // Get touch position with cached getBoundingClientRect (performance optimization)
+        // Cache is valid for 100ms to avoid excessive reflow
+        if (!this.cachedTouchRect || (now - this.cachedTouchRectTime) > 100) {
             this.cachedTouchRect = this.touchCanvas.getBoundingClientRect();
             this.cachedTouchRectTime = now;
         }
         const rect = this.cachedTouchRect;
-        let clientX, clientY;
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
         
-        if (e.type.startsWith('touch')) {
-            const touch = e.touches[0] || e.changedTouches[0];
-            clientX = touch.clientX;
-            clientY = touch.clientY;
-        } else {
-            clientX = e.clientX;
-            clientY = e.clientY;
+        // Apply finger offset for better visibility (capture above finger position)
+        const fingerOffsetY = 40; // pixels above finger for better visibility
+        const adjustedY = Math.max(0, y - fingerOffsetY);
+        
+        const canvasX = x * this.scaleFactorX;
+        const canvasY = adjustedY * this.scaleFactorY;
+        
+        // Store last touch position for hold capture
+        finger.canvasX = canvasX;
+        finger.canvasY = canvasY;
+        
+        this.copyVideoRegion(canvasX, canvasY, finger.dynamics);
+    }
+    
+    // Track finger speed and pressure between samples (every move event, not only captures)
+    updateDynamics(e, isMove, now, dynamics) {
+        const smoothing = this.dynamicSizeSettings.smoothing;
+        
+        if (isMove && now > dynamics.lastTime) {
+            const distance = Math.hypot(e.clientX - dynamics.lastX, e.clientY - dynamics.lastY);
+            const speed = distance / (now - dynamics.lastTime);
+            dynamics.speed += (speed - dynamics.speed) * smoothing;
+        } else if (!isMove) {
+            // New touch starts at rest
+            dynamics.speed = 0;
+            dynamics.pressure = null;
+        }
+        
+        // Pens always report pressure; mouse and touch without pressure hardware report a fixed 0.5
+        const hasPressure = e.pointerType === 'pen' || (e.pointerType === 'touch' && e.pressure !== 0.5);
+        const pressure = hasPressure ? e.pressure : 0;
+        if (pressure > 0) {
+            dynamics.pressure = dynamics.pressure === null
+                ? pressure
+                : dynamics.pressure + (pressure - dynamics.pressure) * smoothing;
+        }
+        
+        dynamics.lastX = e.clientX;
+        dynamics.lastY = e.clientY;
+        dynamics.lastTime = now;
+        
+        // Pen tilt (degrees, -90..90 toward the right) leans the piece
+        dynamics.tiltX = e.pointerType === 'pen' ? (e.tiltX || 0) : 0;
+    }
+    
+    // Size, rotation and scatter factors for the next capture
+    // Fast swipes give small scattered fragments, slow presses large ones
+    getDynamicSizing(dynamics) {
+        const settings = this.dynamicSizeSettings;
+        const speed = dynamics ? dynamics.speed : 0;
+        const pressure = dynamics ? dynamics.pressure : null;
+        if (!settings.enabled) {
+            // Pen pressure alone still scales the piece
+            let scale = 1;
+            if (this.inputSettings.penPressureSize && pressure !== null) {
+                scale = settings.minScale + (settings.maxScale - settings.minScale) * Math.min(1, pressure);
+            }
+            return { scale: scale, maxAngle: this.rotationSettings.maxAngle, scatter: 1 };
+        }
+        
+        const fast = Math.min(1, speed / settings.fastSpeed);
+        let scale = settings.maxScale + (settings.minScale - settings.maxScale) * fast;
+        
+        if (pressure !== null) {
+            const pressureScale = settings.minScale + (settings.maxScale - settings.minScale) * Math.min(1, pressure);
+            scale += (pressureScale - scale) * settings.pressureWeight;
+        }
+        
+        return {
+            scale: scale,
+            maxAngle: this.rotationSettings.maxAngle + (settings.maxAngleFast - this.rotationSettings.maxAngle) * fast,
+            scatter: 1 + (settings.scatterFast - 1) * fast
+        };
+    }
+    
+    setDynamicSizeEnabled(enabled) {
+        this.dynamicSizeSettings.enabled = enabled;
+        this.pointers.forEach(finger => {
+            finger.dynamics = this.createDynamics(finger.clientX, finger.clientY);
+        });
+        if (DEBUG_MODE) console.log('Dynamic sizing:', enabled ? 'enabled' : 'disabled');
+    }
+    
+    // Set dynamic sizing limits, e.g. setDynamicSizeLimits({ minScale: 0.5, maxScale: 2 })
+    // Accepts minScale, maxScale, fastSpeed (viewport px per ms) and maxAngleFast (degrees)
+    setDynamicSizeLimits(limits) {
+        const settings = this.dynamicSizeSettings;
+        if (limits.minScale !== undefined) {
+            settings.minScale = Math.max(0.05, Math.min(1, limits.minScale));
+        }
+        if (limits.maxScale !== undefined) {
+            settings.maxScale = Math.max(1, Math.min(5, limits.maxScale));
+        }
+        if (limits.fastSpeed !== undefined) {
+            settings.fastSpeed = Math.max(0.1, limits.fastSpeed);
+        }
+        if (limits.maxAngleFast !== undefined) {
+            settings.maxAngleFast = Math.max(0, Math.min(180, Math.abs(limits.maxAngleFast)));
+        }
+        
+        if (DEBUG_MODE) console.log('Dynamic sizing limits updated:', {
+            minScale: settings.minScale,
+            maxScale: settings.maxScale,
+            fastSpeed: settings.fastSpeed,
+            maxAngleFast: settings.maxAngleFast
+        });
+    }
+    
+    // Apply a size range preset from the settings switch ('subtle', 'normal' or 'strong')
+    setDynamicSizeRange(range) {
+        const preset = this.dynamicSizeSettings.ranges[range];
+        if (!preset) {
+            console.warn('Unknown dynamic size range:', range);
+            return false;
+        }
+        
+        this.dynamicSizeSettings.range = range;
+        this.setDynamicSizeLimits(preset);
+        return true;
+    }
+    
+    startHoldCapture(finger) {
+        // Clear any existing timer
+        this.stopHoldCapture(finger);
+        
+        // Start interval timer for continuous capture while holding
+        if (this.touchSettings.enableContinuousCapture) {
+            finger.holdCaptureTimer = setInterval(() => {
+                this.performHoldCapture(finger);
+            }, this.touchSettings.captureInterval);
+        }
+    }
+    
+    updateHoldCapturePosition(e, finger) {
+        if (!this.isSourceReady()) {
+            return;
         }
         
-        const x = clientX - rect.left;
-        const y = clientY - rect.top;
+        // Use cached getBoundingClientRect (performance optimization)
+        const now = Date.now();
+        if (!this.cachedTouchRect || (now - this.cachedTouchRectTime) > 100) {
+            this.cachedTouchRect = this.touchCanvas.getBoundingClientRect();
+            this.cachedTouchRectTime = now;
+        }
+        const rect = this.cachedTouchRect;
+        const x = e.clientX - rect.left;
+        const y = e.clientY - rect.top;
         
         const fingerOffsetY = 40;
         const adjustedY = Math.max(0, y - fingerOffsetY);
         
-        this.touchSettings.lastTouchPosition.x = x * this.scaleFactorX;
-        this.touchSettings.lastTouchPosition.y = adjustedY * this.scaleFactorY;
+        finger.canvasX = x * this.scaleFactorX;
+        finger.canvasY = adjustedY * this.scaleFactorY;
     }
     
-    stopHoldCapture() {
-        if (this.touchSettings.holdCaptureTimer) {
-            clearInterval(this.touchSettings.holdCaptureTimer);
-            this.touchSettings.holdCaptureTimer = null;
+    // Stop one finger's hold capture, or every finger's when called without one
+    stopHoldCapture(finger) {
+        const fingers = finger ? [finger] : this.pointers.values();
+        for (const current of fingers) {
+            if (current.holdCaptureTimer) {
+                clearInterval(current.holdCaptureTimer);
+                current.holdCaptureTimer = null;
+            }
         }
     }
     
-    performHoldCapture() {
+    performHoldCapture(finger) {
         if (!this.isSourceReady()) {
             return;
         }
         
-        // Capture at the last known touch position
-        const canvasX = this.touchSettings.lastTouchPosition.x;
-        const canvasY = this.touchSettings.lastTouchPosition.y;
+        // A resting finger slows down - pieces grow back while holding
+        finger.dynamics.speed *= 1 - this.dynamicSizeSettings.smoothing;
         
-        this.copyVideoRegion(canvasX, canvasY);
+        // Capture at the last known touch position of this finger
+        this.copyVideoRegion(finger.canvasX, finger.canvasY, finger.dynamics);
+    }
+    
+    // Corner buttons that fade out while drawing
+    getUIButtons() {
+        return ['saveIconBtn', 'helpBtn', 'undoBtn', 'redoBtn', 'freezeBtn', 'panBtn']
+            .map(id => document.getElementById(id))
+            .filter(button => button);
     }
     
     hideUIButtons() {
@@ -1386,19 +2304,11 @@ class CameraApp {
             this.uiButtonSettings.fadeOutTimer = null;
         }
         
-        // Get all corner buttons
-        const saveIconBtn = document.getElementById('saveIconBtn');
-        const helpBtn = document.getElementById('helpBtn');
-        
-        // Add instant-hide class (no transition)
-        if (saveIconBtn) {
-            saveIconBtn.classList.add('instant-hide');
-            saveIconBtn.classList.remove('fade-in');
-        }
-        if (helpBtn) {
-            helpBtn.classList.add('instant-hide');
-            helpBtn.classList.remove('fade-in');
-        }
+        // Add instant-hide class (no transition) to all corner buttons
+        this.getUIButtons().forEach(button => {
+            button.classList.add('instant-hide');
+            button.classList.remove('fade-in');
+        });
         
         this.uiButtonSettings.isHidden = true;
     }
@@ -1408,19 +2318,11 @@ class CameraApp {
             return;
         }
         
-        // Get all corner buttons
-        const saveIconBtn = document.getElementById('saveIconBtn');
-        const helpBtn = document.getElementById('helpBtn');
-        
-        // Remove instant-hide and add fade-in class
-        if (saveIconBtn) {
-            saveIconBtn.classList.remove('instant-hide');
-            saveIconBtn.classList.add('fade-in');
-        }
-        if (helpBtn) {
-            helpBtn.classList.remove('instant-hide');
-            helpBtn.classList.add('fade-in');
-        }
+        // Remove instant-hide and add fade-in class to all corner buttons
+        this.getUIButtons().forEach(button => {
+            button.classList.remove('instant-hide');
+            button.classList.add('fade-in');
+        });
         
         this.uiButtonSettings.isHidden = false;
     }
@@ -1558,6 +2460,14 @@ class CameraApp {
         this.resizeMode.centerY = clampedMinY + height / 2;
     }
     
+    // Leave resize mode keeping the current capture size
+    cancelResizeMode() {
+        if (!this.resizeMode.active) return;
+        this.resizeMode.currentWidth = this.copySettings.width;
+        this.resizeMode.currentHeight = this.copySettings.height;
+        this.exitResizeMode();
+    }
+    
     exitResizeMode() {
         if (DEBUG_MODE) console.log('Exiting resize mode with size:', {
             width: this.resizeMode.currentWidth,
@@ -1587,6 +2497,7 @@ class CameraApp {
         this.resizeMode.active = false;
         this.resizeMode.touch1 = null;
         this.resizeMode.touch2 = null;
+        this.longPressResize.finger = null;
         
         if (DEBUG_MODE) {
             console.log('New capture size set to:', this.copySettings.width, 'x', this.copySettings.height);
@@ -1607,6 +2518,11 @@ class CameraApp {
             sourceElement = this.selectedImage;
             sourceWidth = this.selectedImage.width;
             sourceHeight = this.selectedImage.height;
+        } else if (this.freezeFrame.canvas) {
+            // Frozen - preview the still that pieces are cut from
+            sourceElement = this.freezeFrame.canvas;
+            sourceWidth = sourceElement.width;
+            sourceHeight = sourceElement.height;
         } else {
             sourceElement = this.video;
             sourceWidth = this.video.videoWidth;
@@ -1641,12 +2557,13 @@ class CameraApp {
         const centerY = centerYViewport * previewScaleY;
         
         // Calculate source coordinates
-        // Convert preview canvas coordinates to source coordinates
-        const srcScaleX = sourceWidth / this.resizePreview.width;
-        const srcScaleY = sourceHeight / this.resizePreview.height;
+        // Convert preview canvas coordinates to touch canvas coordinates, then to source coordinates
+        const mapping = this.getSourceMapping(sourceWidth, sourceHeight);
+        const srcScaleX = (this.touchCanvas.width / this.resizePreview.width) * mapping.scale;
+        const srcScaleY = (this.touchCanvas.height / this.resizePreview.height) * mapping.scale;
         
-        const srcCenterX = centerX * srcScaleX;
-        const srcCenterY = centerY * srcScaleY;
+        const srcCenterX = mapping.offsetX + centerX * srcScaleX;
+        const srcCenterY = mapping.offsetY + centerY * srcScaleY;
         const srcWidth = rectWidth * srcScaleX;
         const srcHeight = rectHeight * srcScaleY;
         
@@ -1659,6 +2576,15 @@ class CameraApp {
         // Draw the preview using preview canvas coordinates
         this.resizeCtx.save();
         
+        // Preview the piece shape (rectangle when no shape is selected)
+        // Torn edges only exist per piece, so the preview uses a fixed tear
+        const shape = this.createPieceShape(this.getCaptureShape(), this.createRandom(0));
+        const shapePath = this.createShapePath(shape, rectWidth, rectHeight, rectX + rectWidth / 2, rectY + rectHeight / 2);
+        if (shape) {
+            this.resizeCtx.save();
+            this.resizeCtx.clip(shapePath);
+        }
+        
         // Draw directly from source (performance optimization - skip tempCanvas copy)
         try {
             this.resizeCtx.drawImage(
@@ -1670,12 +2596,16 @@ class CameraApp {
             console.warn('Error drawing resize preview:', error);
         }
         
+        if (shape) {
+            this.resizeCtx.restore();
+        }
+        
         // Draw white solid border using CANVAS coordinates
         // IMPORTANT: Draw the border to exactly match finger positions
         this.resizeCtx.strokeStyle = 'white';
         this.resizeCtx.lineWidth = 6; // Scaled up for canvas resolution
         this.resizeCtx.setLineDash([]); // Solid line (no dashes)
-        this.resizeCtx.strokeRect(rectX, rectY, rectWidth, rectHeight);
+        this.resizeCtx.stroke(shapePath);
         
         // Draw corner indicators using CANVAS coordinates
         // Place corners exactly at the rectangle corners
@@ -1729,7 +2659,21 @@ class CameraApp {
         this.resizeCtx.clearRect(0, 0, this.resizePreview.width, this.resizePreview.height);
     }
     
-    copyVideoRegion(canvasX, canvasY) {
+    // Map touch canvas coordinates to source (video/image) coordinates
+    // The source covers the canvas like CSS object-fit: cover (uniform scale, centered crop)
+    getSourceMapping(sourceWidth, sourceHeight) {
+        const canvasWidth = this.touchCanvas.width;
+        const canvasHeight = this.touchCanvas.height;
+        const scale = Math.min(sourceWidth / canvasWidth, sourceHeight / canvasHeight);
+        
+        return {
+            scale: scale,
+            offsetX: (sourceWidth - canvasWidth * scale) / 2,
+            offsetY: (sourceHeight - canvasHeight * scale) / 2
+        };
+    }
+    
+    copyVideoRegion(canvasX, canvasY, dynamics = null) {
         // Check source availability with stream validation
         let sourceAvailable = false;
         
@@ -1775,1598 +2719,5392 @@ class CameraApp {
             sourceElement = this.selectedImage;
         }
         
+        // Freeze frame: every camera piece comes from the same still
+        // Time offset: otherwise take camera pieces from a buffered earlier frame
+        const seed = this.nextCaptureSeed();
+        let mediaTime = this.sourceMode === 'camera' ? this.video.currentTime : null;
+        let frameDelay = 0;
+        if (this.sourceMode === 'camera' && this.freezeFrame.canvas) {
+            sourceElement = this.freezeFrame.canvas;
+            sourceWidth = sourceElement.width;
+            sourceHeight = sourceElement.height;
+            mediaTime = this.freezeFrame.mediaTime;
+        } else if (this.sourceMode === 'camera' && this.timeOffsetSettings.mode !== 'off') {
+            const frame = this.getBufferedFrame(this.getCaptureDelay(seed), sourceWidth, sourceHeight);
+            if (frame) {
+                sourceElement = frame.bitmap;
+                mediaTime = frame.mediaTime;
+                frameDelay = Math.round(performance.now() - frame.time);
+            }
+        }
+        this.frameBuffer.strokePieces++;
+        
         // Calculate source coordinates from canvas coordinates
-        const sourceX = (canvasX / canvasWidth) * sourceWidth;
-        const sourceY = (canvasY / canvasHeight) * sourceHeight;
+        const mapping = this.getSourceMapping(sourceWidth, sourceHeight);
+        const sourceX = mapping.offsetX + canvasX * mapping.scale;
+        const sourceY = mapping.offsetY + canvasY * mapping.scale;
+        
+        // Copy region size using settings, scaled by finger speed/pressure in dynamic mode
+        const sizing = this.getDynamicSizing(dynamics);
+        const copyWidth = Math.max(1, Math.round(this.copySettings.width * sizing.scale));
+        const copyHeight = Math.max(1, Math.round(this.copySettings.height * sizing.scale));
         
-        // Copy region size using settings (width x height in source coordinates)
-        const sourceRegionWidth = (this.copySettings.width / canvasWidth) * sourceWidth;
-        const sourceRegionHeight = (this.copySettings.height / canvasHeight) * sourceHeight;
+        // Copy region size in source coordinates
+        const sourceRegionWidth = copyWidth * mapping.scale;
+        const sourceRegionHeight = copyHeight * mapping.scale;
         
         // Adjust for region boundaries
         const sourceRegionX = Math.max(0, Math.min(sourceX - sourceRegionWidth / 2, sourceWidth - sourceRegionWidth));
         const sourceRegionY = Math.max(0, Math.min(sourceY - sourceRegionHeight / 2, sourceHeight - sourceRegionHeight));
         
-        // Canvas destination coordinates
-        const destX = canvasX - this.copySettings.width / 2;
-        const destY = canvasY - this.copySettings.height / 2;
-        
         try {
-            // Reuse cached canvas for region capture (performance optimization)
-            // Only recreate if size changed significantly
+            // Each piece keeps its own crop so it can be re-rendered on undo/redo
             const needWidth = Math.ceil(sourceRegionWidth);
             const needHeight = Math.ceil(sourceRegionHeight);
             
-            if (!this.cachedRegionCanvas || 
-                this.cachedRegionSize.width < needWidth || 
-                this.cachedRegionSize.height < needHeight) {
-                
-                if (!this.cachedRegionCanvas) {
-                    this.cachedRegionCanvas = document.createElement('canvas');
-                    this.cachedRegionCtx = this.cachedRegionCanvas.getContext('2d');
-                }
-                
-                // Allocate with some extra space to reduce reallocations
-                this.cachedRegionCanvas.width = Math.ceil(needWidth * 1.2);
-                this.cachedRegionCanvas.height = Math.ceil(needHeight * 1.2);
-                this.cachedRegionSize.width = this.cachedRegionCanvas.width;
-                this.cachedRegionSize.height = this.cachedRegionCanvas.height;
-                
-                // Configure for high quality
-                this.cachedRegionCtx.imageSmoothingEnabled = true;
-                if ('imageSmoothingQuality' in this.cachedRegionCtx) {
-                    this.cachedRegionCtx.imageSmoothingQuality = 'high';
-                }
-            }
+            const pieceCanvas = document.createElement('canvas');
+            pieceCanvas.width = needWidth;
+            pieceCanvas.height = needHeight;
+            const pieceCtx = pieceCanvas.getContext('2d');
             
-            // Clear only the area we'll use
-            this.cachedRegionCtx.clearRect(0, 0, needWidth, needHeight);
+            // Configure for high quality
+            pieceCtx.imageSmoothingEnabled = true;
+            if ('imageSmoothingQuality' in pieceCtx) {
+                pieceCtx.imageSmoothingQuality = 'high';
+            }
             
-            // Draw source region directly to cached canvas (skip getImageData for performance)
-            this.cachedRegionCtx.drawImage(
+            // Draw source region directly to piece canvas (skip getImageData for performance)
+            pieceCtx.drawImage(
                 sourceElement,
                 sourceRegionX, sourceRegionY, sourceRegionWidth, sourceRegionHeight,
                 0, 0, needWidth, needHeight
             );
             
-            // Draw the region to main touch canvas with scaling, rotation and shadow effect
-            this.touchCtx.save();
-            
-            // Generate random position offset if enabled
-            let offsetX = 0;
-            let offsetY = 0;
-            if (this.positionOffsetSettings.enabled) {
-                const rangeX = this.positionOffsetSettings.maxOffsetX - this.positionOffsetSettings.minOffsetX;
-                const rangeY = this.positionOffsetSettings.maxOffsetY - this.positionOffsetSettings.minOffsetY;
-                offsetX = this.positionOffsetSettings.minOffsetX + Math.random() * rangeX;
-                offsetY = this.positionOffsetSettings.minOffsetY + Math.random() * rangeY;
+            // Panorama mode places the piece by heading, scaled down with the whole panorama, and pans
+            // the view after it; otherwise the view maps the visible canvas onto the virtual canvas
+            // (pieces keep their on-screen size)
+            const placement = this.getPanoramaPlacement(canvasX, canvasY);
+            const position = placement ? { x: placement.x, y: placement.y } : this.viewToCanvas(canvasX, canvasY);
+            const placementScale = placement ? placement.scale : 1 / this.view.zoom;
+            if (placement) {
+                this.followPanorama(position);
             }
             
-            // Calculate center point for rotation (with offset applied)
-            const centerX = destX + this.copySettings.width / 2 + offsetX;
-            const centerY = destY + this.copySettings.height / 2 + offsetY;
+            // Everything the piece transform depends on, so the capture can be replayed exactly
+            const capture = {
+                pieceId: this.collage.nextPieceId++,
+                strokeId: this.history.currentStrokeId || this.history.nextStrokeId++,
+                time: Date.now(),
+                seed: seed,
+                canvasX: position.x,
+                canvasY: position.y,
+                unitScale: this.getUnitScale(),
+                copyWidth: copyWidth * placementScale,
+                copyHeight: copyHeight * placementScale,
+                offset: this.positionOffsetSettings.enabled ? {
+                    minX: this.positionOffsetSettings.minOffsetX * sizing.scatter * placementScale,
+                    maxX: this.positionOffsetSettings.maxOffsetX * sizing.scatter * placementScale,
+                    minY: this.positionOffsetSettings.minOffsetY * sizing.scatter * placementScale,
+                    maxY: this.positionOffsetSettings.maxOffsetY * sizing.scatter * placementScale
+                } : null,
+                // Camera direction for panorama pieces (degrees, yaw relative to the first piece)
+                orientation: placement ? { yaw: placement.yaw, pitch: placement.pitch } : null,
+                maxAngle: this.rotationSettings.enabled ? sizing.maxAngle : 0,
+                tiltAngle: dynamics ? dynamics.tiltX / 90 * this.inputSettings.penTiltRotation : 0,
+                frame: this.getCaptureFrame(),
+                shape: this.getCaptureShape(),
+                look: null,
+                colorGain: null,
+                blendMode: this.blendSettings.mode,
+                opacity: this.blendSettings.opacity,
+                shadow: {
+                    blur: this.shadowSettings.blur,
+                    offsetX: this.shadowSettings.offsetX,
+                    offsetY: this.shadowSettings.offsetY
+                },
+                // Source frame reference: the crop itself is retained by the piece with pieceId
+                source: {
+                    mode: this.sourceMode,
+                    mediaTime: mediaTime,
+                    delay: frameDelay,      // How far behind the live frame the crop was taken (milliseconds)
+                    x: sourceRegionX,
+                    y: sourceRegionY,
+                    width: sourceRegionWidth,
+                    height: sourceRegionHeight,
+                    frameWidth: sourceWidth,
+                    frameHeight: sourceHeight
+                }
+            };
+            
+            // Exposure lock matches the raw crop to the first piece before the look is applied
+            capture.colorGain = this.normalizeExposure(pieceCanvas);
             
-            // Generate random rotation angle if enabled
-            if (this.rotationSettings.enabled) {
-                const range = this.rotationSettings.maxAngle * 2; // -maxAngle to +maxAngle
-                const rotationAngle = -this.rotationSettings.maxAngle + Math.random() * range;
-                const rotationRadians = rotationAngle * Math.PI / 180;
-                
-                this.touchCtx.translate(centerX, centerY);
-                this.touchCtx.rotate(rotationRadians);
-                this.touchCtx.translate(-centerX, -centerY);
-            }
-            
-            // Add slight variation to shadow for more organic feel
-            const blurVariation = Math.random() * 3;
-            const offsetVariationX = (Math.random() - 0.5) * 0.3;
-            const offsetVariationY = (Math.random() - 0.5) * 0.3;
-            
-            // Configure drop shadow
-            this.touchCtx.shadowColor = this.shadowSettings.color;
-            this.touchCtx.shadowBlur = this.shadowSettings.blur + blurVariation;
-            this.touchCtx.shadowOffsetX = this.shadowSettings.offsetX + offsetVariationX;
-            this.touchCtx.shadowOffsetY = this.shadowSettings.offsetY + offsetVariationY;
-            
-            // Draw the copied region
-            this.touchCtx.drawImage(
-                this.cachedRegionCanvas,
-                0, 0, needWidth, needHeight,
-                destX + offsetX, destY + offsetY, this.copySettings.width, this.copySettings.height
-            );
+            // Color look is baked into the crop only, so the live preview stays clean
+            capture.look = this.getCaptureLook(capture.seed);
+            this.applyLook(pieceCanvas, capture.look);
             
-            this.touchCtx.restore();
+            this.recordCapture(capture);
+            this.addPiece(this.createPiece(capture, pieceCanvas));
             
         } catch (error) {
             console.error('Error copying video region:', error);
         }
     }
     
-    async startCamera() {
-        try {
-            this.updateStatus('Starting camera...');
-            
-            if (DEBUG_MODE) {
-                console.log('Starting camera with current mediaDevices:', navigator.mediaDevices);
-                console.log('getUserMedia function:', navigator.mediaDevices?.getUserMedia);
-            }
+    // Build a piece record from a capture - deterministic for a given capture (seeded jitter)
+    createPiece(capture, image) {
+        const random = this.createRandom(capture.seed);
+        const unitScale = capture.unitScale;
+        
+        // Generate random position offset if enabled
+        let offsetX = 0;
+        let offsetY = 0;
+        if (capture.offset) {
+            offsetX = capture.offset.minX + random() * (capture.offset.maxX - capture.offset.minX);
+            offsetY = capture.offset.minY + random() * (capture.offset.maxY - capture.offset.minY);
+        }
+        
+        // Generate random rotation angle if enabled
+        let rotation = 0;
+        if (capture.maxAngle) {
+            const rotationAngle = -capture.maxAngle + random() * capture.maxAngle * 2; // -maxAngle to +maxAngle
+            rotation = rotationAngle * Math.PI / 180;
+        }
+        if (capture.tiltAngle) {
+            rotation += capture.tiltAngle * Math.PI / 180;
+        }
+        
+        // Add slight variation to shadow for more organic feel
+        const blurVariation = random() * 3;
+        const offsetVariationX = (random() - 0.5) * 0.3;
+        const offsetVariationY = (random() - 0.5) * 0.3;
+        
+        // Drawn after the transform jitter so shapes don't change the sequence above
+        const shape = this.createPieceShape(capture.shape, random);
+        
+        const { mode, mediaTime, delay, ...source } = capture.source;
+        
+        // Piece record - transform is stored in reference units
+        return {
+            id: capture.pieceId,
+            strokeId: capture.strokeId,
+            createdAt: capture.time,
+            image: image,
+            source: source,
+            centerX: (capture.canvasX + offsetX) / unitScale,
+            centerY: (capture.canvasY + offsetY) / unitScale,
+            width: capture.copyWidth / unitScale,
+            height: capture.copyHeight / unitScale,
+            offsetX: offsetX / unitScale,
+            offsetY: offsetY / unitScale,
+            rotation: rotation,
+            shadowBlur: (capture.shadow.blur + blurVariation) / unitScale,
+            shadowOffsetX: (capture.shadow.offsetX + offsetVariationX) / unitScale,
+            shadowOffsetY: (capture.shadow.offsetY + offsetVariationY) / unitScale,
+            frame: capture.frame ? {
+                style: capture.frame.style,
+                top: capture.frame.top / unitScale,
+                side: capture.frame.side / unitScale,
+                bottom: capture.frame.bottom / unitScale
+            } : null,
+            shape: shape,
+            blendMode: capture.blendMode || 'source-over',
+            opacity: capture.opacity === undefined ? 1 : capture.opacity
+        };
+    }
+    
+    setBlendMode(mode) {
+        const modes = ['source-over', 'multiply', 'screen', 'overlay', 'difference', 'lighten'];
+        if (!modes.includes(mode)) {
+            console.warn('Unknown blend mode:', mode);
+            return false;
+        }
+        this.blendSettings.mode = mode;
+        if (DEBUG_MODE) console.log('Blend mode set to:', mode);
+        return true;
+    }
+    
+    setPieceOpacity(opacity) {
+        this.blendSettings.opacity = Math.max(0.05, Math.min(1, Number(opacity) || 1));
+        if (DEBUG_MODE) console.log('Piece opacity set to:', this.blendSettings.opacity);
+    }
+    
+    setTimeOffsetMode(mode) {
+        const modes = ['off', 'fixed', 'stroke', 'jitter'];
+        if (!modes.includes(mode)) {
+            console.warn('Unknown time offset mode:', mode);
+            return false;
+        }
+        this.timeOffsetSettings.mode = mode;
+        
+        // The buffering loop stops itself and releases its frames once the mode is off
+        if (mode !== 'off') {
+            this.startFrameBuffer();
+        }
+        if (DEBUG_MODE) console.log('Time offset mode set to:', mode);
+        return true;
+    }
+    
+    // Keep the last few seconds of camera frames as ImageBitmaps
+    startFrameBuffer() {
+        if (this.frameBuffer.timer) return;
+        if (typeof createImageBitmap !== 'function') {
+            console.warn('Frame buffer not supported (createImageBitmap unavailable)');
+            return;
+        }
+        
+        const tick = async () => {
+            const settings = this.timeOffsetSettings;
+            const buffer = this.frameBuffer;
             
-            // Check camera support before attempting to access
-            if (!this.checkCameraSupport()) {
-                throw new Error('Camera access not supported');
+            if (settings.mode === 'off') {
+                buffer.timer = null;
+                this.clearFrameBuffer();
+                return;
             }
             
-            // Camera constraints for high resolution capture
-            const constraints = {
-                video: {
-                    width: {
-                        ideal: this.cameraSettings.idealWidth,
-                        max: this.cameraSettings.maxWidth,
-                        min: this.cameraSettings.minWidth
-                    },
-                    height: {
-                        ideal: this.cameraSettings.idealHeight,
-                        max: this.cameraSettings.maxHeight,
-                        min: this.cameraSettings.minHeight
-                    },
-                    frameRate: this.cameraSettings.frameRate,
-                    facingMode: this.currentFacingMode
-                },
-                audio: false
-            };
-            
-            if (DEBUG_MODE) console.log('Requesting camera with constraints:', constraints);
+            let interval = 1000 / settings.bufferFps;
+            const video = this.video;
             
-            // Progressive fallback strategy for camera constraints
-            let stream;
-            try {
-                stream = await navigator.mediaDevices.getUserMedia(constraints);
-                if (DEBUG_MODE) console.log('High resolution camera access successful');
-            } catch (error) {
-                console.warn('High resolution camera access failed, trying medium quality:', error);
-                
-                // Try with medium quality constraints
-                const mediumConstraints = {
-                    video: {
-                        width: { ideal: 1920, max: 2560 },
-                        height: { ideal: 1080, max: 1440 },
-                        frameRate: { ideal: 30 },
-                        facingMode: this.currentFacingMode
-                    },
-                    audio: false
-                };
+            if (this.sourceMode === 'camera' && video && video.videoWidth && video.videoHeight && !document.hidden) {
+                // Fewer frames fit for large videos - spread them over the whole duration instead
+                const frameBytes = video.videoWidth * video.videoHeight * 4;
+                const maxFrames = Math.max(2, Math.floor(settings.maxBufferBytes / frameBytes));
+                interval = Math.max(interval, settings.bufferDuration / maxFrames);
                 
                 try {
-                    stream = await navigator.mediaDevices.getUserMedia(mediumConstraints);
-                    if (DEBUG_MODE) console.log('Medium quality camera access successful');
-                } catch (mediumError) {
-                    console.warn('Medium quality camera access failed, trying basic settings:', mediumError);
+                    const time = performance.now();
+                    const mediaTime = video.currentTime;
+                    const bitmap = await createImageBitmap(video);
                     
-                    // Final fallback: basic constraints for iOS Safari
-                    const basicConstraints = {
-                        video: {
-                            facingMode: this.currentFacingMode
-                        },
-                        audio: false
-                    };
-                    if (DEBUG_MODE) console.log('Retrying with basic constraints:', basicConstraints);
-                    stream = await navigator.mediaDevices.getUserMedia(basicConstraints);
-                    if (DEBUG_MODE) console.log('Basic camera access successful');
-                }
-            }
-            
-            this.stream = stream;
-            if (DEBUG_MODE) console.log('Camera stream obtained:', {
-                active: stream.active,
-                id: stream.id,
-                tracks: stream.getTracks().length
-            });
-            
-            // Set stream to video element
-            this.video.srcObject = this.stream;
-            
-            // iOS Safari support: ensure playsinline and muted attributes
-            this.video.setAttribute('playsinline', 'true');
-            this.video.setAttribute('muted', 'true');
-            this.video.muted = true;
-            
-            if (DEBUG_MODE) console.log('Video element configured, attempting playback...');
-            
-            // Explicitly start video playback (iOS support)
-            try {
-                await this.video.play();
-                if (DEBUG_MODE) console.log('Video autoplay successful');
-                this.updateStatus('Camera started - Touch to copy regions');
-            } catch (playError) {
-                console.warn('Autoplay failed (possible iOS restriction):', playError);
-                this.updateStatus('Tap video to start playback');
-                
-                // Add touch event for manual playback start
-                const playOnTouch = async () => {
-                    try {
-                        await this.video.play();
-                        this.video.removeEventListener('touchstart', playOnTouch);
-                        this.updateStatus('Camera started - Touch to copy regions');
-                        if (DEBUG_MODE) console.log('Manual playback successful');
-                    } catch (e) {
-                        console.error('Touch playback also failed:', e);
+                    if (settings.mode === 'off') {
+                        bitmap.close();
+                    } else {
+                        buffer.frames.push({ bitmap: bitmap, time: time, mediaTime: mediaTime });
                     }
-                };
-                this.video.addEventListener('touchstart', playOnTouch);
-            }
-            
-            if (DEBUG_MODE) console.log('Camera start successful:', {
-                tracks: this.stream.getVideoTracks().length,
-                settings: this.stream.getVideoTracks()[0]?.getSettings()
-            });
-            
-            // Display actual camera resolution
-            const videoTrack = this.stream.getVideoTracks()[0];
-            if (videoTrack) {
-                const settings = videoTrack.getSettings();
-                if (DEBUG_MODE) console.log('Actual camera resolution:', {
-                    width: settings.width,
-                    height: settings.height,
-                    frameRate: settings.frameRate,
-                    facingMode: settings.facingMode
-                });
-                
-                this.updateStatus(
-                    `Camera: ${settings.width}x${settings.height}@${Math.round(settings.frameRate || 30)}fps`
-                );
-            }
-            
-        } catch (error) {
-            console.error('Camera start error:', error);
-            
-            let errorMessage = 'Failed to start camera';
-            if (error.name === 'NotAllowedError') {
-                errorMessage = 'Camera access permission required. Please check browser settings.';
-            } else if (error.name === 'NotFoundError') {
-                errorMessage = 'Camera not found. Please check if camera is connected.';
-            } else if (error.name === 'NotSupportedError') {
-                errorMessage = 'Camera not supported in this browser.';
-            } else if (error.message === 'Camera access not supported') {
-                errorMessage = 'Camera access not supported in this browser or context.';
+                    
+                    // Drop the oldest frames beyond the memory bound or the buffer duration
+                    while (buffer.frames.length > maxFrames ||
+                           (buffer.frames.length > 1 && time - buffer.frames[0].time > settings.bufferDuration + interval)) {
+                        buffer.frames.shift().bitmap.close();
+                    }
+                } catch (error) {
+                    console.warn('Frame buffer capture failed:', error);
+                }
+            } else if (buffer.frames.length > 0) {
+                // Frames of a stopped or hidden camera are stale
+                this.clearFrameBuffer();
             }
             
-            this.showError(errorMessage);
-            this.updateStatus('Camera start failed');
+            buffer.timer = setTimeout(tick, interval);
+        };
+        
+        this.frameBuffer.timer = setTimeout(tick, 0);
+    }
+    
+    clearFrameBuffer() {
+        this.frameBuffer.frames.forEach(frame => frame.bitmap.close());
+        this.frameBuffer.frames = [];
+    }
+    
+    // Snapshot the current video frame - captures use it until unfreezeFrame()
+    freezeCurrentFrame() {
+        if (this.sourceMode !== 'camera' || !this.video || !this.video.videoWidth || !this.video.videoHeight) {
+            this.updateStatus('Freeze is only available with the camera');
+            return false;
         }
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = this.video.videoWidth;
+        canvas.height = this.video.videoHeight;
+        canvas.getContext('2d').drawImage(this.video, 0, 0);
+        
+        this.freezeFrame.canvas = canvas;
+        this.freezeFrame.mediaTime = this.video.currentTime;
+        this.updateFreezeIndicator();
+        this.updateStatus('Frame frozen');
+        return true;
     }
     
-    stopCamera(clearCanvas = true) {
-        try {
-            if (DEBUG_MODE) console.log('stopCamera called with clearCanvas:', clearCanvas);
-            if (this.stream) {
-                // Stop stream
-                this.stream.getTracks().forEach(track => {
-                    track.stop();
-                });
-                this.stream = null;
-                this.video.srcObject = null;
-                
-                // Clear touch canvas only if specified
-                if (clearCanvas && this.touchCtx) {
-                    this.touchCtx.clearRect(0, 0, this.touchCanvas.width, this.touchCanvas.height);
-                    if (DEBUG_MODE) console.log('Camera stopped and canvas CLEARED');
-                } else {
-                    if (DEBUG_MODE) console.log('Camera stopped, canvas PRESERVED (not cleared)');
-                }
-                
-                this.updateStatus('Camera stopped');
-            }
-        } catch (error) {
-            console.error('Camera stop error:', error);
-            this.showError('Failed to stop camera');
+    unfreezeFrame() {
+        if (!this.freezeFrame.canvas) return;
+        
+        // Release the snapshot memory
+        this.freezeFrame.canvas.width = 1;
+        this.freezeFrame.canvas.height = 1;
+        this.freezeFrame.canvas = null;
+        this.freezeFrame.mediaTime = null;
+        this.updateFreezeIndicator();
+        this.updateStatus('Live camera');
+    }
+    
+    toggleFreezeFrame() {
+        if (this.freezeFrame.canvas) {
+            this.unfreezeFrame();
+            return false;
         }
+        return this.freezeCurrentFrame();
     }
     
-    // API Methods for Touch Interval Control
-    setCaptureInterval(milliseconds) {
-        if (typeof milliseconds === 'number' && milliseconds >= 0) {
-            this.touchSettings.captureInterval = milliseconds;
-            if (DEBUG_MODE) console.log(`Capture interval set to ${milliseconds}ms`);
-        } else {
-            console.warn('Invalid capture interval value');
+    // Frozen state is shown on the freeze button and as a frame around the preview
+    updateFreezeIndicator() {
+        const frozen = this.freezeFrame.canvas !== null;
+        document.getElementById('cameraContainer')?.classList.toggle('frozen', frozen);
+        if (this.freezeBtn) {
+            this.freezeBtn.classList.toggle('active', frozen);
+            this.freezeBtn.setAttribute('aria-pressed', String(frozen));
         }
     }
     
-    getCaptureInterval() {
-        return this.touchSettings.captureInterval;
+    // How far back the next camera piece is taken from (milliseconds)
+    getCaptureDelay(seed) {
+        const settings = this.timeOffsetSettings;
+        let delay = 0;
+        
+        if (settings.mode === 'fixed') {
+            delay = settings.fixedDelay;
+        } else if (settings.mode === 'stroke') {
+            delay = this.frameBuffer.strokePieces * settings.strokeStep;
+        } else if (settings.mode === 'jitter') {
+            // Separate stream from the capture seed so the piece transform jitter is unchanged
+            delay = this.createRandom(seed ^ 0x27D4EB2F)() * settings.maxJitter;
+        }
+        
+        return Math.min(delay, settings.bufferDuration);
     }
     
-    enableContinuousCapture(enabled = true) {
-        this.touchSettings.enableContinuousCapture = enabled;
-        if (DEBUG_MODE) console.log(`Continuous capture ${enabled ? 'enabled' : 'disabled'}`);
+    // Buffered frame closest to the given delay, or null when the live frame should be used
+    getBufferedFrame(delay, width, height) {
+        if (delay <= 0) return null;
+        
+        const target = performance.now() - delay;
+        let best = null;
+        this.frameBuffer.frames.forEach(frame => {
+            if (frame.bitmap.width !== width || frame.bitmap.height !== height) return;
+            if (!best || Math.abs(frame.time - target) < Math.abs(best.time - target)) {
+                best = frame;
+            }
+        });
+        return best;
     }
     
-    resetCaptureTimer() {
-        this.touchSettings.lastCaptureTime = 0;
-        if (DEBUG_MODE) console.log('Capture timer reset');
+    // Shape of the next capture (null = plain rectangle)
+    getCaptureShape() {
+        const type = this.shapeSettings.shape;
+        if (type === 'rectangle') {
+            return null;
+        }
+        if (type === 'lasso') {
+            const points = this.shapeSettings.lassoPoints;
+            return points && points.length >= 3 ? { type: type, points: points.map(point => point.slice()) } : null;
+        }
+        return { type: type };
     }
     
-    // Shutter sound control methods
-    enableShutterSound(enabled = true) {
-        this.shutterSettings.enabled = enabled;
-        if (DEBUG_MODE) console.log(`Shutter sound ${enabled ? 'enabled' : 'disabled'}`);
+    // Resolve a capture shape into the piece shape record (torn edges are generated once, from the seed)
+    createPieceShape(shape, random) {
+        if (!shape) {
+            return null;
+        }
+        if (shape.type !== 'torn') {
+            return shape.points ? { type: shape.type, points: shape.points } : { type: shape.type };
+        }
+        
+        // Walk the rectangle edges clockwise, pushing each point inward by a random tear depth
+        const segments = this.shapeSettings.tornSegments;
+        const depth = this.shapeSettings.tornDepth;
+        const edges = [
+            [[-0.5, -0.5], [1, 0], [0, 1]],    // Top: start, direction, inward normal
+            [[0.5, -0.5], [0, 1], [-1, 0]],    // Right
+            [[0.5, 0.5], [-1, 0], [0, -1]],    // Bottom
+            [[-0.5, 0.5], [0, -1], [1, 0]]     // Left
+        ];
+        const points = [];
+        edges.forEach(([start, direction, normal]) => {
+            for (let i = 0; i < segments; i++) {
+                const t = i / segments;
+                const tear = random() * depth;
+                points.push([
+                    start[0] + direction[0] * t + normal[0] * tear,
+                    start[1] + direction[1] * t + normal[1] * tear
+                ]);
+            }
+        });
+        return { type: 'torn', points: points };
     }
     
-    setShutterVolume(volume) {
-        if (typeof volume === 'number' && volume >= 0 && volume <= 1) {
-            this.shutterSettings.volume = volume;
-            // Update volume for all audio instances in the pool
-            this.shutterAudioPool.forEach(audio => {
-                audio.volume = volume;
-            });
-            if (DEBUG_MODE) console.log(`Shutter volume set to ${volume}`);
-        } else {
-            console.warn('Invalid volume value (0-1 expected)');
+    // Outline of a shape for a width x height box centered at (centerX, centerY)
+    createShapePath(shape, width, height, centerX = 0, centerY = 0) {
+        const path = new Path2D();
+        const shortSide = Math.min(width, height);
+        
+        switch (shape ? shape.type : 'rectangle') {
+            case 'circle':
+                path.arc(centerX, centerY, shortSide / 2, 0, Math.PI * 2);
+                break;
+            case 'hexagon':
+                // Pointy-top regular hexagon inscribed in the short side
+                for (let i = 0; i < 6; i++) {
+                    const angle = Math.PI / 6 + i * Math.PI / 3;
+                    const x = centerX + Math.sin(angle) * shortSide / 2;
+                    const y = centerY - Math.cos(angle) * shortSide / 2;
+                    if (i === 0) {
+                        path.moveTo(x, y);
+                    } else {
+                        path.lineTo(x, y);
+                    }
+                }
+                path.closePath();
+                break;
+            case 'rounded': {
+                const radius = shortSide * this.shapeSettings.cornerRadius;
+                const left = centerX - width / 2;
+                const top = centerY - height / 2;
+                const right = left + width;
+                const bottom = top + height;
+                path.moveTo(left + radius, top);
+                path.arcTo(right, top, right, bottom, radius);
+                path.arcTo(right, bottom, left, bottom, radius);
+                path.arcTo(left, bottom, left, top, radius);
+                path.arcTo(left, top, right, top, radius);
+                path.closePath();
+                break;
+            }
+            case 'torn':
+            case 'lasso':
+                shape.points.forEach(([x, y], index) => {
+                    if (index === 0) {
+                        path.moveTo(centerX + x * width, centerY + y * height);
+                    } else {
+                        path.lineTo(centerX + x * width, centerY + y * height);
+                    }
+                });
+                path.closePath();
+                break;
+            default:
+                path.rect(centerX - width / 2, centerY - height / 2, width, height);
         }
+        
+        return path;
     }
     
-    setMaxConcurrentSounds(count) {
-        if (typeof count === 'number' && count > 0 && count <= 5) {  // Reduced max for performance
-            this.shutterSettings.maxConcurrentSounds = count;
-            // Reinitialize audio pool with new count
-            this.initShutterSound();
-            if (DEBUG_MODE) console.log(`Max concurrent shutter sounds set to ${count}`);
-        } else {
-            console.warn('Invalid concurrent sounds count (1-5 expected)');
+    setPieceShape(shape) {
+        const shapes = ['rectangle', 'circle', 'rounded', 'torn', 'hexagon', 'lasso'];
+        if (!shapes.includes(shape)) {
+            console.warn('Unknown piece shape:', shape);
+            return false;
         }
+        this.shapeSettings.shape = shape;
+        if (DEBUG_MODE) console.log('Piece shape set to:', shape);
+        return true;
     }
     
-    // Panel control API methods
-    togglePanel() {
-        if (this.isPanelMinimized) {
-            this.expandPanel();
-        } else {
-            this.minimizePanel();
+    // Set the freeform lasso mask from points normalized to -0.5..0.5 of the piece box
+    setLassoPoints(points) {
+        if (!Array.isArray(points) || points.length < 3) {
+            return false;
         }
+        this.shapeSettings.lassoPoints = points;
+        return true;
     }
     
-    isPanelVisible() {
-        return !this.isPanelMinimized;
+    // Frame of the next capture in canvas pixels (null = bare photo)
+    getCaptureFrame() {
+        const style = this.frameSettings.style;
+        const margins = this.frameSettings.margins[style];
+        if (style === 'none' || !margins) {
+            return null;
+        }
+        return { style: style, ...margins };
     }
     
-    // Resize mode API methods
-    getCurrentCaptureSize() {
-        return {
-            width: this.copySettings.width,
-            height: this.copySettings.height
-        };
+    setFrameStyle(style) {
+        if (style !== 'none' && !this.frameSettings.baseMargins[style]) {
+            console.warn('Unknown frame style:', style);
+            return false;
+        }
+        this.frameSettings.style = style;
+        if (DEBUG_MODE) console.log('Frame style set to:', style);
+        return true;
     }
     
-    setCaptureSize(width, height = null) {
-        if (height === null) height = width; // Square by default
-        
-        this.copySettings.width = Math.max(50, Math.min(2000, width));
-        this.copySettings.height = Math.max(50, Math.min(2000, height));
-        
-        if (DEBUG_MODE) console.log(`Capture size set to ${this.copySettings.width}x${this.copySettings.height}`);
+    // Color look methods
+    // Look of the next capture; random looks are picked from the capture seed so replay matches
+    getCaptureLook(seed) {
+        const look = this.lookSettings.look;
+        if (look === 'random') {
+            const looks = this.lookSettings.randomLooks;
+            // Separate stream from the transform jitter drawn in createPiece
+            return looks[Math.floor(this.createRandom(seed ^ 0x5BD1E995)() * looks.length)];
+        }
+        return look === 'none' ? null : look;
     }
     
-    isResizeModeActive() {
-        return this.resizeMode.active;
+    setLook(look) {
+        if (look !== 'none' && look !== 'random' && !this.getLookTables(look)) {
+            console.warn('Unknown look:', look);
+            return false;
+        }
+        this.lookSettings.look = look;
+        if (DEBUG_MODE) console.log('Look set to:', look);
+        return true;
     }
     
-    forceExitResizeMode() {
-        if (this.resizeMode.active) {
-            this.exitResizeMode();
+    // Per-look color processing: optional 3x3 channel matrix, then per-channel tone curves
+    // Returns { matrix, curves: [r, g, b] } with 256-entry lookup tables
+    getLookTables(look) {
+        if (this.lookTables[look]) {
+            return this.lookTables[look];
+        }
+        
+        const clamp = (value) => Math.max(0, Math.min(255, value));
+        const contrast = (amount) => (v) => (v - 128) * amount + 128;
+        const sCurve = (amount) => (v) => {
+            const x = v / 255;
+            return 255 * (x + amount * x * (1 - x) * (2 * x - 1));
+        };
+        const identity = (v) => v;
+        const gray = [0.299, 0.587, 0.114];
+        
+        const definitions = {
+            // Luminance only
+            mono: { matrix: [gray, gray, gray], curves: [identity, identity, identity] },
+            // Classic sepia toning matrix
+            sepia: {
+                matrix: [[0.393, 0.769, 0.189], [0.349, 0.686, 0.168], [0.272, 0.534, 0.131]],
+                curves: [identity, identity, identity]
+            },
+            // Faded Polaroid: partly desaturated, lifted blacks, warm highlights
+            faded: {
+                matrix: [[0.8, 0.15, 0.05], [0.1, 0.82, 0.08], [0.08, 0.15, 0.77]],
+                curves: [(v) => 40 + v * 0.8, (v) => 32 + v * 0.78, (v) => 38 + v * 0.68]
+            },
+            // Cross-process: contrasty red/green, flat yellowish blues
+            cross: {
+                matrix: null,
+                curves: [sCurve(0.6), (v) => sCurve(0.4)(v) * 1.05, (v) => 50 + v * 0.62]
+            },
+            // High contrast with slightly boosted saturation
+            contrast: {
+                matrix: [[1.2, -0.15, -0.05], [-0.1, 1.18, -0.08], [-0.08, -0.15, 1.23]],
+                curves: [contrast(1.5), contrast(1.5), contrast(1.5)]
+            }
+        };
+        
+        const definition = definitions[look];
+        if (!definition) {
+            return null;
         }
+        
+        const tables = {
+            matrix: definition.matrix,
+            curves: definition.curves.map(curve => {
+                const table = new Uint8ClampedArray(256);
+                for (let v = 0; v < 256; v++) {
+                    table[v] = clamp(Math.round(curve(v)));
+                }
+                return table;
+            })
+        };
+        this.lookTables[look] = tables;
+        return tables;
     }
     
-    async switchCamera() {
-        try {
-            this.updateStatus('Switching camera...');
-            
-            // Toggle facing mode
-            this.currentFacingMode = this.currentFacingMode === 'user' ? 'environment' : 'user';
-            
-            if (DEBUG_MODE) console.log('Switching to camera:', this.currentFacingMode);
-            
-            // Skip canvas resize to preserve content during camera switch
-            this.skipCanvasResize = true;
-            
-            // Stop current camera without clearing canvas
-            this.stopCamera(false);
-            
-            // Start camera with new facing mode
-            await this.startCamera();
-            
-            this.updateStatus(`Camera switched to ${this.currentFacingMode === 'user' ? 'front' : 'rear'}`);
-            
-        } catch (error) {
-            console.error('Camera switch error:', error);
-            this.showError('Failed to switch camera: ' + error.message);
+    // Apply a look to a canvas in place by processing its pixels
+    applyLook(canvas, look) {
+        if (!look) return;
+        
+        const tables = this.getLookTables(look);
+        if (!tables) return;
+        
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const data = imageData.data;
+        const [curveR, curveG, curveB] = tables.curves;
+        const m = tables.matrix;
+        
+        for (let i = 0; i < data.length; i += 4) {
+            let r = data[i];
+            let g = data[i + 1];
+            let b = data[i + 2];
             
-            // Revert to previous facing mode on error
-            this.currentFacingMode = this.currentFacingMode === 'user' ? 'environment' : 'user';
-            try {
-                await this.startCamera();
-            } catch (revertError) {
-                console.error('Failed to revert camera:', revertError);
-                this.showError('Camera access failed');
+            if (m) {
+                const nr = m[0][0] * r + m[0][1] * g + m[0][2] * b;
+                const ng = m[1][0] * r + m[1][1] * g + m[1][2] * b;
+                const nb = m[2][0] * r + m[2][1] * g + m[2][2] * b;
+                // Clamp before the table lookup (table index must be 0-255)
+                r = nr < 0 ? 0 : (nr > 255 ? 255 : nr | 0);
+                g = ng < 0 ? 0 : (ng > 255 ? 255 : ng | 0);
+                b = nb < 0 ? 0 : (nb > 255 ? 255 : nb | 0);
             }
+            
+            data[i] = curveR[r];
+            data[i + 1] = curveG[g];
+            data[i + 2] = curveB[b];
         }
+        
+        ctx.putImageData(imageData, 0, 0);
     }
     
-    switchToAlbumMode(imageFile) {
-        if (DEBUG_MODE) console.log('Switching to album mode');
-        this.sourceMode = 'album';
-        
-        // Stop camera without clearing canvas
-        if (this.stream) {
-            this.stopCamera(false);
-        }
-        
-        // Hide video, show image element
-        if (this.video) {
-            this.video.style.display = 'none';
-        }
-        
-        // Create or reuse image element for album mode
-        if (!this.albumImageElement) {
-            this.albumImageElement = document.createElement('img');
-            this.albumImageElement.style.position = 'absolute';
-            this.albumImageElement.style.top = '0';
-            this.albumImageElement.style.left = '0';
-            this.albumImageElement.style.width = '100%';
-            this.albumImageElement.style.height = '100%';
-            this.albumImageElement.style.objectFit = 'cover';
-            this.albumImageElement.style.zIndex = '1';
-            document.getElementById('cameraContainer').appendChild(this.albumImageElement);
+    // Seedable PRNG (mulberry32) returning floats in [0, 1)
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    
+    // Start a new random session (and capture recording) from a seed
+    // seed: 32-bit integer, or null/undefined for a random seed
+    setRandomSeed(seed) {
+        if (seed === null || seed === undefined) {
+            const values = new Uint32Array(1);
+            if (window.crypto && crypto.getRandomValues) {
+                crypto.getRandomValues(values);
+            } else {
+                values[0] = Math.floor(Math.random() * 4294967296);
+            }
+            seed = values[0];
         }
         
-        // Load the selected image
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            const originalImage = new Image();
-            originalImage.onload = () => {
-                // Resize image to match canvas resolution for memory efficiency
-                const resizedImage = this.resizeImageForAlbum(originalImage);
-                
-                this.selectedImage = resizedImage.image;
-                this.albumImageElement.src = resizedImage.dataUrl;
-                this.albumImageElement.style.display = 'block';
-                
-                if (DEBUG_MODE) console.log('Album image loaded and resized:', {
-                    original: { width: originalImage.width, height: originalImage.height },
-                    resized: { width: this.selectedImage.width, height: this.selectedImage.height },
-                    memorySaved: `${Math.round((1 - (resizedImage.image.width * resizedImage.image.height) / (originalImage.width * originalImage.height)) * 100)}%`
-                });
-                this.updateStatus('Album mode - Touch to copy regions');
-            };
-            originalImage.src = e.target.result;
+        this.random.seed = seed >>> 0;
+        this.random.next = this.createRandom(this.random.seed);
+        this.resetRecorder();
+        if (DEBUG_MODE) console.log('Random seed:', this.random.seed);
+        return this.random.seed;
+    }
+    
+    nextCaptureSeed() {
+        return Math.floor(this.random.next() * 4294967296) >>> 0;
+    }
+    
+    // Capture recorder methods
+    resetRecorder() {
+        this.recorder = {
+            startedAt: Date.now(),
+            captures: []
         };
-        reader.readAsDataURL(imageFile);
     }
     
-    // Resize album image to match canvas aspect ratio and resolution (cover mode)
-    // This ensures the image fills the entire canvas while maintaining aspect ratio
-    resizeImageForAlbum(originalImage) {
-        const originalWidth = originalImage.width;
-        const originalHeight = originalImage.height;
-        
-        // Target resolution: match canvas size (device resolution with max limit)
-        const dpr = window.devicePixelRatio || 1;
-        const maxDimension = this.canvasSettings.maxDimension || 2160;
+    recordCapture(capture) {
+        this.recorder.captures.push({ ...capture, time: capture.time - this.recorder.startedAt });
+    }
+    
+    // Forget the captures of pieces that can no longer come back (undone, then replaced by a new piece)
+    discardRecordedCaptures(pieces) {
+        const discarded = new Set(pieces.map(piece => piece.id));
+        this.recorder.captures = this.recorder.captures.filter(capture => !discarded.has(capture.pieceId));
+    }
+    
+    // The captures that build the current collage, as plain JSON data
+    // Undone pieces are left out while they wait on the redo stack
+    getRecording() {
+        const undone = new Set(this.history.redoStack.map(piece => piece.id));
+        return {
+            version: 1,
+            seed: this.random.seed,
+            startedAt: this.recorder.startedAt,
+            referenceWidth: this.canvasSettings.referenceWidth,
+            canvas: {
+                format: this.canvasSettings.format,
+                width: this.touchCanvas ? this.touchCanvas.width : 0,
+                height: this.touchCanvas ? this.touchCanvas.height : 0
+            },
+            captures: this.recorder.captures
+                .filter(capture => !undone.has(capture.pieceId))
+                .map(capture => ({ ...capture }))
+        };
+    }
+    
+    exportRecording() {
+        const json = JSON.stringify(this.getRecording(), null, 2);
+        this.downloadBlob(new Blob([json], { type: 'application/json' }), `joiner-recording-${Date.now()}.json`);
+    }
+    
+    // Rebuild the collage from a recording
+    // frames: optional map of pieceId -> image for crops that are no longer retained
+    // Crops otherwise come from retained pieces, or are re-cut from the album image when it matches
+    replayRecording(recording, frames = {}) {
+        if (!recording || !Array.isArray(recording.captures)) {
+            throw new Error('Invalid recording');
+        }
+        
+        const retained = new Map();
+        this.collage.pieces.concat(this.history.redoStack).forEach(piece => retained.set(piece.id, piece.image));
+        
+        // Resolve every crop before touching the collage, so a recording that can't be
+        // rebuilt (camera frames are not kept) leaves the current collage as it is
+        const images = recording.captures.map(capture =>
+            frames[capture.pieceId] || retained.get(capture.pieceId) ||
+            this.cropRecordedFrame(capture.source, capture.look, capture.colorGain));
+        const missing = images.filter(image => !image).length;
+        if (missing > 0) {
+            console.warn(`Replay: ${missing} capture(s) have no source frame`);
+            this.showError(`Cannot replay: ${missing} of ${images.length} captures need source frames that are not available`);
+            return false;
+        }
         
-        let targetWidth = Math.round(window.innerWidth * dpr);
-        let targetHeight = Math.round(window.innerHeight * dpr);
+        this.resetCollage();
+        this.redrawCollage();
         
-        // Apply maximum dimension limit
-        if (targetWidth > maxDimension || targetHeight > maxDimension) {
-            const scale = maxDimension / Math.max(targetWidth, targetHeight);
-            targetWidth = Math.round(targetWidth * scale);
-            targetHeight = Math.round(targetHeight * scale);
-        }
+        // The recorder now describes the replayed collage
+        this.recorder = {
+            startedAt: recording.startedAt,
+            captures: []
+        };
         
-        // Calculate scale to COVER the target area (fill entire canvas, may crop)
-        // This matches the CSS object-fit: cover behavior
-        const originalAspect = originalWidth / originalHeight;
-        const targetAspect = targetWidth / targetHeight;
+        recording.captures.forEach((capture, index) => {
+            const image = images[index];
+            this.addPiece(this.createPiece({ ...capture, time: recording.startedAt + capture.time }, image));
+            this.recorder.captures.push({ ...capture });
+            this.collage.nextPieceId = Math.max(this.collage.nextPieceId, capture.pieceId + 1);
+            this.history.nextStrokeId = Math.max(this.history.nextStrokeId, capture.strokeId + 1);
+        });
         
-        let srcX = 0, srcY = 0, srcWidth = originalWidth, srcHeight = originalHeight;
+        // Replayed pieces were made with the recording's seed, not the running one
+        if (this.collage.provenance) {
+            this.collage.provenance.randomSeed = recording.seed;
+        }
         
-        if (originalAspect > targetAspect) {
-            // Original is wider - crop left and right
-            srcWidth = originalHeight * targetAspect;
-            srcX = (originalWidth - srcWidth) / 2;
-        } else {
-            // Original is taller - crop top and bottom
-            srcHeight = originalWidth / targetAspect;
-            srcY = (originalHeight - srcHeight) / 2;
+        this.updateStatus(`Replayed ${recording.captures.length} captures`);
+        return true;
+    }
+    
+    // Re-cut a recorded source region from the album image (camera frames cannot be recaptured)
+    cropRecordedFrame(source, look = null, colorGain = null) {
+        const image = this.selectedImage;
+        if (source.mode !== 'album' || !image || image.width !== source.frameWidth || image.height !== source.frameHeight) {
+            return null;
         }
         
-        // Create canvas with target dimensions (matching screen aspect ratio)
         const canvas = document.createElement('canvas');
-        canvas.width = targetWidth;
-        canvas.height = targetHeight;
+        canvas.width = Math.ceil(source.width);
+        canvas.height = Math.ceil(source.height);
         const ctx = canvas.getContext('2d');
-        
-        // Enable high-quality scaling
         ctx.imageSmoothingEnabled = true;
         ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(image, source.x, source.y, source.width, source.height, 0, 0, canvas.width, canvas.height);
+        this.applyColorGain(canvas, colorGain);
+        this.applyLook(canvas, look);
+        return canvas;
+    }
+    
+    // Canvas pixels per reference unit for the visible canvas
+    getUnitScale() {
+        const referenceWidth = this.canvasSettings.referenceWidth || 3840;
+        return (this.touchCanvas?.width || referenceWidth) / referenceWidth;
+    }
+    
+    // Canvas pixels per reference unit through the current view (pan/zoom)
+    getViewScale() {
+        return this.getUnitScale() * this.view.zoom;
+    }
+    
+    // Visible canvas pixels -> canvas pixels of the unpanned, unzoomed canvas (the capture coordinate space)
+    viewToCanvas(x, y) {
+        const unitScale = this.getUnitScale();
+        return {
+            x: this.view.x * unitScale + x / this.view.zoom,
+            y: this.view.y * unitScale + y / this.view.zoom
+        };
+    }
+    
+    // Move the view (reference point at the canvas top-left) - zoom is clamped to the view settings
+    setView(x, y, zoom = this.view.zoom) {
+        this.view.x = x;
+        this.view.y = y;
+        this.view.zoom = Math.max(this.viewSettings.minZoom, Math.min(this.viewSettings.maxZoom, zoom));
+        this.scheduleViewRedraw();
+    }
+    
+    // Zoom by factor around a point of the visible canvas (pixels)
+    zoomViewAt(factor, anchorX, anchorY) {
+        const scale = this.getViewScale();
+        const pointX = this.view.x + anchorX / scale;
+        const pointY = this.view.y + anchorY / scale;
+        const zoom = Math.max(this.viewSettings.minZoom, Math.min(this.viewSettings.maxZoom, this.view.zoom * factor));
+        const newScale = this.getUnitScale() * zoom;
+        this.setView(pointX - anchorX / newScale, pointY - anchorY / newScale, zoom);
+    }
+    
+    resetView() {
+        this.setView(0, 0, 1);
+        this.updateStatus('View reset');
+    }
+    
+    // Pan/zoom redraws at most once per frame
+    scheduleViewRedraw() {
+        if (this.viewGesture.redrawPending) return;
+        this.viewGesture.redrawPending = true;
+        requestAnimationFrame(() => {
+            this.viewGesture.redrawPending = false;
+            this.redrawCollage();
+        });
+    }
+    
+    // Draw a piece record with rotation and shadow effect
+    // scale converts reference units to pixels of the target context
+    drawPiece(ctx, piece, scale = this.getUnitScale()) {
+        const centerX = piece.centerX * scale;
+        const centerY = piece.centerY * scale;
+        const width = piece.width * scale;
+        const height = piece.height * scale;
+        
+        ctx.save();
+        
+        ctx.translate(centerX, centerY);
+        if (piece.rotation) {
+            ctx.rotate(piece.rotation);
+        }
+        
+        // Configure drop shadow (shadows are not affected by the transform)
+        ctx.shadowColor = this.shadowSettings.color;
+        ctx.shadowBlur = piece.shadowBlur * scale;
+        ctx.shadowOffsetX = piece.shadowOffsetX * scale;
+        ctx.shadowOffsetY = piece.shadowOffsetY * scale;
+        
+        // A framed piece casts its shadow from the frame; the photo sits on top without one
+        if (piece.frame) {
+            this.drawPieceFrame(ctx, piece.frame, width, height, scale);
+            ctx.shadowColor = 'transparent';
+        }
+        
+        // Unframed pieces: the shadow comes from the outline (clipping would cut it off),
+        // then the photo is drawn clipped to the same outline
+        const shapePath = piece.shape ? this.createShapePath(piece.shape, width, height) : null;
+        if (!piece.frame) {
+            let outline = shapePath;
+            if (!outline) {
+                outline = new Path2D();
+                outline.rect(-width / 2, -height / 2, width, height);
+            }
+            this.castShadow(ctx, outline, width + height);
+            ctx.shadowColor = 'transparent';
+        }
+        if (shapePath) {
+            ctx.clip(shapePath);
+        }
+        
+        // Only the photo takes the blend mode and opacity - shadow and frame stay plain source-over
+        // (pieces saved before blend modes existed have neither field)
+        if (piece.blendMode) {
+            ctx.globalCompositeOperation = piece.blendMode;
+        }
+        if (piece.opacity !== undefined) {
+            ctx.globalAlpha = piece.opacity;
+        }
         
-        // Draw cropped and scaled image to fill entire canvas
         ctx.drawImage(
-            originalImage,
-            srcX, srcY, srcWidth, srcHeight,  // Source rectangle (cropped)
-            0, 0, targetWidth, targetHeight    // Destination rectangle (full canvas)
+            piece.image,
+            0, 0, piece.image.width, piece.image.height,
+            -width / 2, -height / 2, width, height
         );
         
-        // Create resized image object
-        const dataUrl = canvas.toDataURL('image/jpeg', 0.92);
-        const resizedImage = new Image();
-        resizedImage.width = targetWidth;
-        resizedImage.height = targetHeight;
-        resizedImage.src = dataUrl;
-        
-        if (DEBUG_MODE) {
-            console.log('Album image cover crop:', {
-                original: { width: originalWidth, height: originalHeight, aspect: originalAspect.toFixed(2) },
-                target: { width: targetWidth, height: targetHeight, aspect: targetAspect.toFixed(2) },
-                crop: { x: Math.round(srcX), y: Math.round(srcY), width: Math.round(srcWidth), height: Math.round(srcHeight) }
-            });
-        }
-        
-        return { image: resizedImage, dataUrl: dataUrl };
+        ctx.restore();
     }
     
-    async switchToCameraMode() {
-        if (DEBUG_MODE) console.log('Switching to camera mode');
-        this.sourceMode = 'camera';
-        
-        // Hide album image
-        if (this.albumImageElement) {
-            this.albumImageElement.style.display = 'none';
+    // Cast the current shadow of a path without painting the path itself: the path is filled
+    // off the canvas and the shadow is offset back by the same amount (offsets ignore the transform)
+    // extent: upper bound of the path's size in local units
+    castShadow(ctx, path, extent) {
+        const transform = ctx.getTransform();
+        const unitLength = Math.hypot(transform.a, transform.b) || 1;
+        // Far enough that the path clears the canvas in any direction
+        const distance = (ctx.canvas.width + ctx.canvas.height) / unitLength + extent * 2;
+        
+        ctx.save();
+        ctx.shadowOffsetX -= transform.a * distance;
+        ctx.shadowOffsetY -= transform.b * distance;
+        ctx.translate(distance, 0);
+        ctx.fillStyle = '#000000';
+        ctx.fill(path);
+        ctx.restore();
+    }
+    
+    // Draw the frame around a photo of width x height centered at the origin
+    drawPieceFrame(ctx, frame, width, height, scale) {
+        const top = frame.top * scale;
+        const side = frame.side * scale;
+        const bottom = frame.bottom * scale;
+        const x = -width / 2 - side;
+        const y = -height / 2 - top;
+        const outerWidth = width + side * 2;
+        const outerHeight = height + top + bottom;
+        
+        if (frame.style !== 'negative') {
+            ctx.fillStyle = this.frameSettings.paperColor;
+            ctx.fillRect(x, y, outerWidth, outerHeight);
+            return;
         }
         
-        // Show video
-        if (this.video) {
-            this.video.style.display = 'block';
+        // 35mm negative: film base with sprocket holes punched through both edges (8 per frame)
+        const path = new Path2D();
+        path.rect(x, y, outerWidth, outerHeight);
+        
+        const pitch = outerWidth / 8;
+        const holeWidth = pitch * 0.5;
+        const holeHeight = Math.min(top, bottom) * 0.45;
+        for (let i = 0; i < 8; i++) {
+            const holeX = x + pitch * i + (pitch - holeWidth) / 2;
+            path.rect(holeX, y + (top - holeHeight) / 2, holeWidth, holeHeight);
+            path.rect(holeX, y + outerHeight - bottom + (bottom - holeHeight) / 2, holeWidth, holeHeight);
         }
         
-        // Skip canvas resize to preserve content during mode switch
-        this.skipCanvasResize = true;
+        ctx.fillStyle = this.frameSettings.filmColor;
+        ctx.fill(path, 'evenodd');
+    }
+    
+    // Render a retained collage (base layer + pieces) into a context
+    // originX/originY: reference point drawn at the top-left corner of the context
+    renderCollage(ctx, scale = this.getUnitScale(), collage = this.collage, originX = 0, originY = 0) {
+        ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        
+        ctx.save();
+        ctx.translate(-originX * scale, -originY * scale);
+        
+        this.drawBaseTiles(ctx, scale, collage);
+        
+        // Skip pieces outside the target (most of them when zoomed into a large canvas)
+        const left = originX * scale;
+        const top = originY * scale;
+        collage.pieces.forEach(piece => {
+            const bounds = this.getPieceBounds(piece, scale);
+            if (bounds.x > left + ctx.canvas.width || bounds.y > top + ctx.canvas.height ||
+                bounds.x + bounds.width < left || bounds.y + bounds.height < top) {
+                return;
+            }
+            this.drawPiece(ctx, piece, scale);
+        });
         
-        // Start camera without clearing canvas
-        if (!this.stream) {
-            await this.startCamera();
-        }
+        ctx.restore();
     }
     
-    saveCanvas() {
-        try {
-            if (DEBUG_MODE) console.log('Saving canvas...');
-            
-            // Use toBlob for better memory efficiency (no Base64 encoding overhead)
-            this.touchCanvas.toBlob((blob) => {
-                if (!blob) {
-                    console.error('Failed to create blob from canvas');
-                    this.showError('Failed to save image');
-                    return;
+    // Draw the flattened base layer tiles (in reference space - callers set the origin transform)
+    drawBaseTiles(ctx, scale, collage = this.collage) {
+        const tileSize = this.collageSettings.baseTileSize;
+        collage.baseTiles.forEach((tile, key) => {
+            const [col, row] = key.split(',').map(Number);
+            ctx.drawImage(tile, col * tileSize * scale, row * tileSize * scale, tileSize * scale, tileSize * scale);
+        });
+    }
+    
+    // Draw into every base layer tile that bounds (reference units) touch, creating tiles as needed
+    // draw(ctx, scale) renders in reference space like drawPiece
+    drawToBaseTiles(collage, bounds, draw) {
+        const tileSize = this.collageSettings.baseTileSize;
+        const scale = collage.baseLayerScale;
+        const tilePixels = Math.ceil(tileSize * scale);
+        
+        for (let row = Math.floor(bounds.y / tileSize); row * tileSize < bounds.y + bounds.height; row++) {
+            for (let col = Math.floor(bounds.x / tileSize); col * tileSize < bounds.x + bounds.width; col++) {
+                const key = `${col},${row}`;
+                let tile = collage.baseTiles.get(key);
+                if (!tile) {
+                    tile = document.createElement('canvas');
+                    tile.width = tilePixels;
+                    tile.height = tilePixels;
+                    collage.baseTiles.set(key, tile);
                 }
                 
-                // Try to use Web Share API (iOS Safari and Android Chrome)
-                if (navigator.share && navigator.canShare) {
-                    const file = new File([blob], 'joiner-collage.png', { type: 'image/png' });
-                    
-                    if (navigator.canShare({ files: [file] })) {
-                        navigator.share({
-                            title: 'Joiner Collage',
-                            files: [file]
-                        }).then(() => {
-                            if (DEBUG_MODE) console.log('Image shared successfully');
-                            this.updateStatus('Image saved/shared');
-                        }).catch(error => {
-                            if (error.name !== 'AbortError') {
-                                console.warn('Share failed, falling back to download:', error);
-                                this.downloadBlob(blob);
-                            }
-                        });
-                    } else {
-                        if (DEBUG_MODE) console.log('File sharing not supported, downloading...');
-                        this.downloadBlob(blob);
-                    }
-                } else {
-                    // Fallback to download for browsers without Web Share API
-                    this.downloadBlob(blob);
-                }
-            }, 'image/png');
-            
-        } catch (error) {
-            console.error('Save canvas error:', error);
-            this.showError('Failed to save image');
+                const ctx = tile.getContext('2d');
+                ctx.save();
+                ctx.translate(-col * tileSize * scale, -row * tileSize * scale);
+                draw(ctx, scale);
+                ctx.restore();
+            }
         }
+        
+        collage.baseBounds = this.unionBounds(collage.baseBounds, bounds);
     }
     
-    downloadBlob(blob) {
-        try {
-            // Create object URL from blob (more memory efficient than dataURL)
-            const url = URL.createObjectURL(blob);
-            
-            // Create download link
-            const link = document.createElement('a');
-            link.download = `joiner-collage-${Date.now()}.png`;
-            link.href = url;
-            
-            // Trigger download
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            // Release object URL to free memory
-            URL.revokeObjectURL(url);
-            
-            if (DEBUG_MODE) console.log('Image downloaded');
-            this.updateStatus('Image downloaded');
-            
-        } catch (error) {
-            console.error('Download error:', error);
-            this.showError('Failed to download image');
-        }
+    unionBounds(a, b) {
+        if (!a) return { ...b };
+        const x = Math.min(a.x, b.x);
+        const y = Math.min(a.y, b.y);
+        return {
+            x: x,
+            y: y,
+            width: Math.max(a.x + a.width, b.x + b.width) - x,
+            height: Math.max(a.y + a.height, b.y + b.height) - y
+        };
     }
     
-    clearCanvas() {
-        try {
-            if (this.touchCtx) {
-                this.touchCtx.clearRect(0, 0, this.touchCanvas.width, this.touchCanvas.height);
-                if (DEBUG_MODE) console.log('Canvas cleared');
-                this.updateStatus('Canvas cleared');
-            }
-        } catch (error) {
-            console.error('Clear canvas error:', error);
-            this.showError('Failed to clear canvas');
+    // Area covered by the collage (reference units), or null when it is empty
+    getCollageBounds(collage = this.collage) {
+        return collage.pieces.reduce(
+            (bounds, piece) => this.unionBounds(bounds, this.getPieceBounds(piece, 1)),
+            collage.baseBounds
+        );
+    }
+    
+    hasBaseLayer(collage = this.collage) {
+        return collage.baseTiles.size > 0;
+    }
+    
+    // Re-render the visible canvas from the retained collage
+    redrawCollage() {
+        if (!this.touchCtx) return;
+        this.renderCollage(this.touchCtx, this.getViewScale(), this.collage, this.view.x, this.view.y);
+    }
+    
+    // Draw one piece onto the visible canvas through the current view
+    drawVisiblePiece(piece) {
+        const scale = this.getViewScale();
+        this.touchCtx.save();
+        this.touchCtx.translate(-this.view.x * scale, -this.view.y * scale);
+        this.drawPiece(this.touchCtx, piece, scale);
+        this.touchCtx.restore();
+    }
+    
+    // Add a new piece on top of the collage
+    addPiece(piece) {
+        this.collage.pieces.push(piece);
+        this.recordProvenance(piece);
+        
+        // New pieces are always on top, so draw incrementally
+        this.drawVisiblePiece(piece);
+        
+        // A new piece invalidates anything that was undone
+        if (this.history.redoStack.length > 0) {
+            this.discardRecordedCaptures(this.history.redoStack);
+            this.history.redoStack = [];
+        }
+        this.markCollageChanged();
+        
+        // Flatten the oldest pieces into the base layer to bound memory use
+        while (this.collage.pieces.length > this.collageSettings.maxRetainedPieces) {
+            this.flattenPiece(this.collage.pieces.shift());
         }
+        
+        this.updateHistoryButtons();
     }
     
-    toggleFullscreen() {
-        if (this.isFullscreen) {
-            this.exitFullscreen();
-        } else {
-            this.enterFullscreen();
+    // Remember where the collage came from, so later exports (also from the gallery) describe it
+    // rather than whatever session happens to be running
+    recordProvenance(piece) {
+        const collage = this.collage;
+        if (!collage.provenance) {
+            const cameraInfo = this.sourceMode === 'camera' ? this.getCurrentCameraInfo() : {};
+            collage.provenance = {
+                randomSeed: this.random.seed,
+                sourceMode: this.sourceMode,
+                cameraResolution: cameraInfo.current ? `${cameraInfo.current.width}x${cameraInfo.current.height}` : 'none',
+                firstCaptureAt: piece.createdAt
+            };
+        } else if (piece.createdAt && (!collage.provenance.firstCaptureAt || piece.createdAt < collage.provenance.firstCaptureAt)) {
+            collage.provenance.firstCaptureAt = piece.createdAt;
         }
     }
     
-    async enterFullscreen() {
-        try {
-            // iOS Safari support: check alternative requestFullscreen methods
-            const element = document.body;
-            
-            if (element.requestFullscreen) {
-                await element.requestFullscreen();
-            } else if (element.webkitRequestFullscreen) {
-                await element.webkitRequestFullscreen();
-            } else if (element.mozRequestFullScreen) {
-                await element.mozRequestFullScreen();
-            } else if (element.msRequestFullscreen) {
-                await element.msRequestFullscreen();
-            } else {
-                // iOS Safari cannot do true fullscreen, use alternative method
-                console.warn('Fullscreen API not available (iOS Safari)');
-                this.simulateFullscreen();
-                return;
-            }
-            
-            this.isFullscreen = true;
-            if (DEBUG_MODE) console.log('Fullscreen mode started');
-        } catch (error) {
-            console.error('Fullscreen mode failed:', error);
-            // iOS Safari support: use alternative method on error
-            this.simulateFullscreen();
+    // Bake a piece into the base layer (it can no longer be undone or re-rendered exactly)
+    flattenPiece(piece) {
+        if (!this.hasBaseLayer()) {
+            // Tiles keep the resolution of the canvas at the time of the first flatten
+            this.collage.baseLayerScale = this.getUnitScale();
+        }
+        this.drawToBaseTiles(this.collage, this.getPieceBounds(piece, 1), (ctx, scale) => this.drawPiece(ctx, piece, scale));
+        this.collage.flattenedCount++;
+    }
+    
+    // Pieces on the canvas, including those flattened into the base layer
+    getPieceCount(collage = this.collage) {
+        return collage.pieces.length + (collage.flattenedCount || 0);
+    }
+    
+    // Begin a new stroke - pieces captured until endStroke() are undone together
+    beginStroke() {
+        this.history.currentStrokeId = this.history.nextStrokeId++;
+        this.frameBuffer.strokePieces = 0;
+    }
+    
+    endStroke() {
+        this.history.currentStrokeId = 0;
+    }
+    
+    canUndo() {
+        return this.collage.pieces.length > 0;
+    }
+    
+    canRedo() {
+        return this.history.redoStack.length > 0;
+    }
+    
+    // Undo the last piece, or the whole last stroke when wholeStroke is true
+    undo(wholeStroke = false) {
+        if (!this.canUndo()) return false;
+        
+        const pieces = this.collage.pieces;
+        const strokeId = pieces[pieces.length - 1].strokeId;
+        let count = 0;
+        
+        do {
+            this.history.redoStack.push(pieces.pop());
+            count++;
+        } while (wholeStroke && this.canUndo() &&
+                 pieces[pieces.length - 1].strokeId === strokeId);
+        
+        this.redrawCollage();
+        this.updateHistoryButtons();
+        this.markCollageChanged();
+        this.updateStatus(`Undo: ${count} piece${count > 1 ? 's' : ''}`);
+        if (DEBUG_MODE) console.log('Undo:', { count, remaining: pieces.length });
+        return true;
+    }
+    
+    // Redo the last undone piece, or the whole undone stroke when wholeStroke is true
+    redo(wholeStroke = false) {
+        if (!this.canRedo()) return false;
+        
+        const strokeId = this.history.redoStack[this.history.redoStack.length - 1].strokeId;
+        let count = 0;
+        
+        do {
+            const piece = this.history.redoStack.pop();
+            this.collage.pieces.push(piece);
+            // Redone pieces are always on top, so draw incrementally
+            this.drawVisiblePiece(piece);
+            count++;
+        } while (wholeStroke && this.canRedo() &&
+                 this.history.redoStack[this.history.redoStack.length - 1].strokeId === strokeId);
+        
+        this.updateHistoryButtons();
+        this.markCollageChanged();
+        this.updateStatus(`Redo: ${count} piece${count > 1 ? 's' : ''}`);
+        if (DEBUG_MODE) console.log('Redo:', { count, remaining: this.history.redoStack.length });
+        return true;
+    }
+    
+    resetHistory() {
+        this.history.redoStack = [];
+        this.history.currentStrokeId = 0;
+        this.updateHistoryButtons();
+    }
+    
+    // Drop all retained pieces (used when the canvas is cleared)
+    // The next gallery save creates a new collage
+    resetCollage() {
+        this.collage.pieces = [];
+        this.collage.baseTiles = new Map();
+        this.collage.baseBounds = null;
+        this.collage.baseLayerScale = 1;
+        this.collage.flattenedCount = 0;
+        this.collage.provenance = null;
+        this.gallery.currentId = null;
+        this.gallery.dirty = false;
+        this.autosave.pending = true;
+        this.resetHistory();
+        // A new collage takes a new exposure reference
+        if (this.exposureLockSettings.enabled) {
+            this.resetExposureLock();
         }
     }
     
-    simulateFullscreen() {
-        // Pseudo-fullscreen mode for iOS Safari
-        document.body.style.position = 'fixed';
-        document.body.style.top = '0';
-        document.body.style.left = '0';
-        document.body.style.width = '100vw';
-        document.body.style.height = '100vh';
-        document.body.style.zIndex = '9999';
+    // Record an edit: the collage now differs from the gallery and needs a checkpoint
+    markCollageChanged() {
+        this.gallery.dirty = true;
+        this.autosave.pending = true;
+    }
+    
+    // Undo/redo buttons: tap for a whole stroke, long press to step piece by piece
+    setupHistoryButtons() {
+        this.undoBtn = document.getElementById('undoBtn');
+        this.redoBtn = document.getElementById('redoBtn');
         
-        // Update viewport meta tag to hide status bar
-        let viewport = document.querySelector('meta[name=viewport]');
-        if (viewport) {
-            viewport.setAttribute('content', 'width=device-width, initial-scale=1.0, viewport-fit=cover');
-        }
+        const bindButton = (button, action) => {
+            if (!button) return;
+            
+            let repeated = false;
+            
+            const startPress = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                repeated = false;
+                this.stopHistoryHold();
+                
+                // Long press - step back/forward one piece at a time until released
+                this.history.holdTimer = setTimeout(() => {
+                    repeated = true;
+                    action(false);
+                    this.history.holdTimer = setInterval(() => {
+                        if (!action(false)) {
+                            this.stopHistoryHold();
+                        }
+                    }, this.historySettings.undoRepeatInterval);
+                }, this.historySettings.undoHoldDelay);
+            };
+            
+            const endPress = (e) => {
+                e.preventDefault();
+                e.stopPropagation();
+                const wasPressed = this.history.holdTimer !== null;
+                this.stopHistoryHold();
+                
+                // Short tap - whole stroke
+                if (wasPressed && !repeated) {
+                    action(true);
+                }
+            };
+            
+            button.addEventListener('touchstart', startPress, { passive: false });
+            button.addEventListener('touchend', endPress, { passive: false });
+            button.addEventListener('touchcancel', () => this.stopHistoryHold());
+            button.addEventListener('mousedown', startPress);
+            button.addEventListener('mouseup', endPress);
+            button.addEventListener('mouseleave', () => this.stopHistoryHold());
+        };
         
-        this.isFullscreen = true;
-        this.updateStatus('Pseudo-fullscreen mode (iOS support)');
-        if (DEBUG_MODE) console.log('Pseudo-fullscreen mode started');
+        bindButton(this.undoBtn, (wholeStroke) => this.undo(wholeStroke));
+        bindButton(this.redoBtn, (wholeStroke) => this.redo(wholeStroke));
+        
+        this.updateHistoryButtons();
     }
     
-    exitSimulatedFullscreen() {
-        // Exit pseudo-fullscreen mode
-        document.body.style.position = '';
-        document.body.style.top = '';
-        document.body.style.left = '';
-        document.body.style.width = '';
-        document.body.style.height = '';
-        document.body.style.zIndex = '';
-        
-        // Restore viewport meta tag
-        let viewport = document.querySelector('meta[name=viewport]');
-        if (viewport) {
-            viewport.setAttribute('content', 'width=device-width, initial-scale=1.0');
+    stopHistoryHold() {
+        if (this.history.holdTimer) {
+            // Timer ids are shared between setTimeout and setInterval
+            clearTimeout(this.history.holdTimer);
+            clearInterval(this.history.holdTimer);
+            this.history.holdTimer = null;
         }
-        
-        this.isFullscreen = false;
-        if (DEBUG_MODE) console.log('Pseudo-fullscreen mode ended');
     }
     
-    async exitFullscreen() {
-        try {
-            if (document.exitFullscreen) {
-                await document.exitFullscreen();
-            } else if (document.webkitExitFullscreen) {
-                await document.webkitExitFullscreen();
-            } else if (document.mozCancelFullScreen) {
-                await document.mozCancelFullScreen();
-            } else if (document.msExitFullscreen) {
-                await document.msExitFullscreen();
-            } else {
-                // Exit pseudo-fullscreen mode
-                this.exitSimulatedFullscreen();
-                return;
-            }
-            
-            this.isFullscreen = false;
-            if (DEBUG_MODE) console.log('Fullscreen mode ended');
-        } catch (error) {
-            console.error('Fullscreen exit failed:', error);
-            // Exit pseudo-fullscreen on error
-            this.exitSimulatedFullscreen();
+    updateHistoryButtons() {
+        if (this.undoBtn) {
+            this.undoBtn.disabled = !this.canUndo();
+        }
+        if (this.redoBtn) {
+            this.redoBtn.disabled = !this.canRedo();
         }
     }
     
-    updateCanvasSize() {
-        if (this.touchCanvas && this.video) {
-            // Get viewport dimensions
-            const viewportWidth = window.innerWidth;
-            const viewportHeight = window.innerHeight;
-            
-            // Use device's actual pixel resolution for optimal quality and performance
-            const dpr = window.devicePixelRatio || 1;
-            const maxDimension = this.canvasSettings.maxDimension || 2160;
-            
-            // Calculate canvas size based on device resolution
-            let canvasWidth = Math.round(viewportWidth * dpr);
-            let canvasHeight = Math.round(viewportHeight * dpr);
-            
-            // Apply maximum dimension limit for memory safety
-            if (canvasWidth > maxDimension || canvasHeight > maxDimension) {
-                const scale = maxDimension / Math.max(canvasWidth, canvasHeight);
-                canvasWidth = Math.round(canvasWidth * scale);
-                canvasHeight = Math.round(canvasHeight * scale);
-            }
+    async startCamera(deviceId = this.cameraDeviceId) {
+        try {
+            this.updateStatus('Starting camera...');
             
             if (DEBUG_MODE) {
-                console.log('Device resolution calculation:', {
-                    viewport: [viewportWidth, viewportHeight],
-                    dpr: dpr,
-                    canvas: [canvasWidth, canvasHeight],
-                    pixels: canvasWidth * canvasHeight,
-                    memoryMB: Math.round(canvasWidth * canvasHeight * 4 / 1024 / 1024)
-                });
+                console.log('Starting camera with current mediaDevices:', navigator.mediaDevices);
+                console.log('getUserMedia function:', navigator.mediaDevices?.getUserMedia);
             }
             
-            // Set internal canvas resolution (high quality)
-            // Note: Changing canvas width/height clears the canvas, so we need to save and restore
-            const oldWidth = this.touchCanvas.width;
-            const oldHeight = this.touchCanvas.height;
+            // Check camera support before attempting to access
+            if (!this.checkCameraSupport()) {
+                throw new Error('Camera access not supported');
+            }
             
-            // Only save/restore if canvas size is actually changing and canvas has content
-            const sizeChanged = (oldWidth !== canvasWidth || oldHeight !== canvasHeight);
-            let savedImageData = null;
+            // Select a specific device when one was chosen, otherwise the facing mode
+            const videoSource = deviceId
+                ? { deviceId: { exact: deviceId } }
+                : { facingMode: this.currentFacingMode };
             
-            if (sizeChanged && oldWidth > 0 && oldHeight > 0 && this.touchCtx) {
-                try {
-                    // Save current canvas content
-                    savedImageData = this.touchCtx.getImageData(0, 0, oldWidth, oldHeight);
-                    if (DEBUG_MODE) console.log('Saved canvas content before resize');
-                } catch (e) {
-                    console.warn('Could not save canvas content:', e);
-                }
-            }
+            // Camera constraints for high resolution capture
+            const constraints = {
+                video: {
+                    width: {
+                        ideal: this.cameraSettings.idealWidth,
+                        max: this.cameraSettings.maxWidth,
+                        min: this.cameraSettings.minWidth
+                    },
+                    height: {
+                        ideal: this.cameraSettings.idealHeight,
+                        max: this.cameraSettings.maxHeight,
+                        min: this.cameraSettings.minHeight
+                    },
+                    frameRate: this.cameraSettings.frameRate,
+                    ...videoSource
+                },
+                audio: false
+            };
             
-            this.touchCanvas.width = canvasWidth;
-            this.touchCanvas.height = canvasHeight;
+            if (DEBUG_MODE) console.log('Requesting camera with constraints:', constraints);
             
-            // Restore saved content if available
-            if (savedImageData && sizeChanged) {
+            // Progressive fallback strategy for camera constraints
+            let stream;
+            try {
+                stream = await navigator.mediaDevices.getUserMedia(constraints);
+                if (DEBUG_MODE) console.log('High resolution camera access successful');
+            } catch (error) {
+                console.warn('High resolution camera access failed, trying medium quality:', error);
+                
+                // Try with medium quality constraints
+                const mediumConstraints = {
+                    video: {
+                        width: { ideal: 1920, max: 2560 },
+                        height: { ideal: 1080, max: 1440 },
+                        frameRate: { ideal: 30 },
+                        ...videoSource
+                    },
+                    audio: false
+                };
+                
                 try {
-                    // Create temporary canvas for scaling
-                    const tempCanvas = document.createElement('canvas');
-                    tempCanvas.width = oldWidth;
-                    tempCanvas.height = oldHeight;
-                    const tempCtx = tempCanvas.getContext('2d');
-                    tempCtx.putImageData(savedImageData, 0, 0);
+                    stream = await navigator.mediaDevices.getUserMedia(mediumConstraints);
+                    if (DEBUG_MODE) console.log('Medium quality camera access successful');
+                } catch (mediumError) {
+                    console.warn('Medium quality camera access failed, trying basic settings:', mediumError);
                     
-                    // Draw scaled content to resized canvas
-                    this.touchCtx.drawImage(tempCanvas, 0, 0, oldWidth, oldHeight, 0, 0, canvasWidth, canvasHeight);
-                    if (DEBUG_MODE) console.log('Restored canvas content after resize');
-                } catch (e) {
-                    console.warn('Could not restore canvas content:', e);
+                    // Final fallback: basic constraints for iOS Safari
+                    const basicConstraints = {
+                        video: videoSource,
+                        audio: false
+                    };
+                    if (DEBUG_MODE) console.log('Retrying with basic constraints:', basicConstraints);
+                    try {
+                        stream = await navigator.mediaDevices.getUserMedia(basicConstraints);
+                        if (DEBUG_MODE) console.log('Basic camera access successful');
+                    } catch (basicError) {
+                        // The selected device may have been unplugged; fall back to the facing mode
+                        if (!deviceId || basicError.name === 'NotAllowedError') throw basicError;
+                        console.warn('Selected camera unavailable, falling back to facing mode:', basicError);
+                        this.cameraDeviceId = null;
+                        stream = await navigator.mediaDevices.getUserMedia({
+                            video: { facingMode: this.currentFacingMode },
+                            audio: false
+                        });
+                    }
                 }
             }
             
-            // ResizePreview canvas is now lazily initialized when entering resize mode
-            // to save memory (only allocates during pinch gesture)
-            // Initialize to minimal size (1x1) to avoid 4K memory allocation
-            if (this.resizePreview && this.resizePreview.width > 1) {
-                this.resizePreview.width = 1;
-                this.resizePreview.height = 1;
-            }
+            this.stream = stream;
+            if (DEBUG_MODE) console.log('Camera stream obtained:', {
+                active: stream.active,
+                id: stream.id,
+                tracks: stream.getTracks().length
+            });
             
-            // Scale canvas to fit viewport with CSS
-            if (this.canvasSettings.scaleToFit) {
-                this.touchCanvas.style.width = '100%';
-                this.touchCanvas.style.height = '100%';
-                
-                // Scale resize preview canvas as well (CSS scaling)
-                if (this.resizePreview) {
-                    this.resizePreview.style.width = '100%';
-                    this.resizePreview.style.height = '100%';
-                }
-            }
+            // Set stream to video element
+            this.video.srcObject = this.stream;
             
-            // Store scaling factors for coordinate conversion
-            this.scaleFactorX = canvasWidth / viewportWidth;
-            this.scaleFactorY = canvasHeight / viewportHeight;
+            // iOS Safari support: ensure playsinline and muted attributes
+            this.video.setAttribute('playsinline', 'true');
+            this.video.setAttribute('muted', 'true');
+            this.video.muted = true;
             
-            // Scale settings based on canvas size relative to 4K reference
-            this.updateScaledSettings(canvasWidth);
+            if (DEBUG_MODE) console.log('Video element configured, attempting playback...');
             
-            // Don't clear canvas when resizing - preserve existing collage
-            // Note: Canvas width/height changes will clear it automatically in some browsers,
-            // but we save and restore the canvas content to preserve the collage
+            // Explicitly start video playback (iOS support)
+            try {
+                await this.video.play();
+                if (DEBUG_MODE) console.log('Video autoplay successful');
+                this.updateStatus('Camera started - Touch to copy regions');
+            } catch (playError) {
+                console.warn('Autoplay failed (possible iOS restriction):', playError);
+                this.updateStatus('Tap video to start playback');
+                
+                // Add touch event for manual playback start
+                const playOnTouch = async () => {
+                    try {
+                        await this.video.play();
+                        this.video.removeEventListener('touchstart', playOnTouch);
+                        this.updateStatus('Camera started - Touch to copy regions');
+                        if (DEBUG_MODE) console.log('Manual playback successful');
+                    } catch (e) {
+                        console.error('Touch playback also failed:', e);
+                    }
+                };
+                this.video.addEventListener('touchstart', playOnTouch);
+            }
             
-            // Reapply quality settings after resize
-            this.configureCanvasQuality();
+            if (DEBUG_MODE) console.log('Camera start successful:', {
+                tracks: this.stream.getVideoTracks().length,
+                settings: this.stream.getVideoTracks()[0]?.getSettings()
+            });
             
-            if (DEBUG_MODE) {
-                console.log('Canvas size updated with device resolution:', {
-                    canvasWidth: canvasWidth,
-                    canvasHeight: canvasHeight,
-                    viewportWidth: viewportWidth,
-                    viewportHeight: viewportHeight,
-                    scaleFactorX: this.scaleFactorX,
-                    scaleFactorY: this.scaleFactorY,
-                    scaledCopySize: [this.copySettings.width, this.copySettings.height],
-                    scaledOffset: [this.positionOffsetSettings.maxOffsetX, this.positionOffsetSettings.maxOffsetY]
-                });
+            // Display actual camera resolution
+            const videoTrack = this.stream.getVideoTracks()[0];
+            if (videoTrack) {
+                const settings = videoTrack.getSettings();
+                if (DEBUG_MODE) console.log('Actual camera resolution:', {
+                    width: settings.width,
+                    height: settings.height,
+                    frameRate: settings.frameRate,
+                    facingMode: settings.facingMode,
+                    label: videoTrack.label
+                });
+                
+                this.activeDeviceId = settings.deviceId || null;
+                if (settings.facingMode === 'user' || settings.facingMode === 'environment') {
+                    this.currentFacingMode = settings.facingMode;
+                }
+                
+                // Restore manual zoom, torch, focus and exposure on the new track
+                await this.applyCameraControls();
+                
+                this.updateStatus(
+                    `Camera: ${settings.width}x${settings.height}@${Math.round(settings.frameRate || 30)}fps`
+                );
             }
+            
+        } catch (error) {
+            console.error('Camera start error:', error);
+            
+            let errorMessage = 'Failed to start camera';
+            if (error.name === 'NotAllowedError') {
+                errorMessage = 'Camera access permission required. Please check browser settings.';
+            } else if (error.name === 'NotFoundError') {
+                errorMessage = 'Camera not found. Please check if camera is connected.';
+            } else if (error.name === 'NotSupportedError') {
+                errorMessage = 'Camera not supported in this browser.';
+            } else if (error.message === 'Camera access not supported') {
+                errorMessage = 'Camera access not supported in this browser or context.';
+            }
+            
+            this.showError(errorMessage);
+            this.updateStatus('Camera start failed');
         }
     }
     
-    // Scale copy size and position offset settings based on canvas size
-    updateScaledSettings(canvasWidth) {
-        const referenceWidth = this.canvasSettings.referenceWidth || 3840;
-        const scaleFactor = canvasWidth / referenceWidth;
-        
-        // Scale copy region size
-        this.copySettings.width = Math.round(this.copySettings.baseWidth * scaleFactor);
-        this.copySettings.height = Math.round(this.copySettings.baseHeight * scaleFactor);
-        
-        // Scale resize mode default size
-        this.resizeMode.currentWidth = Math.round(this.resizeMode.baseWidth * scaleFactor);
-        this.resizeMode.currentHeight = Math.round(this.resizeMode.baseHeight * scaleFactor);
-        
-        // Scale position offset settings
-        const baseOffsetX = this.positionOffsetSettings.baseOffsetX || 80;
-        const baseOffsetY = this.positionOffsetSettings.baseOffsetY || 80;
-        this.positionOffsetSettings.maxOffsetX = Math.round(baseOffsetX * scaleFactor);
-        this.positionOffsetSettings.maxOffsetY = Math.round(baseOffsetY * scaleFactor);
-        this.positionOffsetSettings.minOffsetX = -this.positionOffsetSettings.maxOffsetX;
-        this.positionOffsetSettings.minOffsetY = -this.positionOffsetSettings.maxOffsetY;
-        
-        // Scale shadow settings
-        const baseShadowBlur = 100;
-        const baseShadowOffset = 25;
-        this.shadowSettings.blur = Math.round(baseShadowBlur * scaleFactor);
-        this.shadowSettings.offsetX = Math.round(baseShadowOffset * scaleFactor);
-        this.shadowSettings.offsetY = Math.round(baseShadowOffset * scaleFactor);
-        
-        if (DEBUG_MODE) {
-            console.log('Settings scaled for canvas width:', canvasWidth, {
-                scaleFactor: scaleFactor,
-                copySize: [this.copySettings.width, this.copySettings.height],
-                positionOffset: this.positionOffsetSettings.maxOffsetX,
-                shadowBlur: this.shadowSettings.blur
-            });
-        }
-    }
-    
-    configureCanvasQuality() {
-        if (!this.touchCtx) return;
-        
-        if (DEBUG_MODE) console.log('Configuring canvas quality settings...');
-        
-        // Configure touch canvas
-        this.touchCtx.imageSmoothingEnabled = this.renderingSettings.imageSmoothingEnabled;
-        if ('imageSmoothingQuality' in this.touchCtx) {
-            this.touchCtx.imageSmoothingQuality = this.renderingSettings.imageSmoothingQuality;
-        }
-        this.touchCtx.textRenderingOptimization = 'optimizeQuality';
-        this.touchCtx.lineCap = 'round';
-        this.touchCtx.lineJoin = 'round';
-        this.touchCtx.globalCompositeOperation = 'source-over';
-        
-        // Configure resize preview canvas
-        if (this.resizeCtx) {
-            this.resizeCtx.imageSmoothingEnabled = true;
-            if ('imageSmoothingQuality' in this.resizeCtx) {
-                this.resizeCtx.imageSmoothingQuality = 'high';
+    stopCamera(clearCanvas = true) {
+        try {
+            if (DEBUG_MODE) console.log('stopCamera called with clearCanvas:', clearCanvas);
+            if (this.stream) {
+                // Stop stream
+                this.stream.getTracks().forEach(track => {
+                    track.stop();
+                });
+                this.stream = null;
+                this.video.srcObject = null;
+                this.clearFrameBuffer();
+                this.unfreezeFrame();
+                
+                // Clear touch canvas only if specified
+                if (clearCanvas && this.touchCtx) {
+                    this.touchCtx.clearRect(0, 0, this.touchCanvas.width, this.touchCanvas.height);
+                    this.resetCollage();
+                    if (DEBUG_MODE) console.log('Camera stopped and canvas CLEARED');
+                } else {
+                    if (DEBUG_MODE) console.log('Camera stopped, canvas PRESERVED (not cleared)');
+                }
+                
+                this.updateStatus('Camera stopped');
             }
-            this.resizeCtx.lineCap = 'round';
-            this.resizeCtx.lineJoin = 'round';
+        } catch (error) {
+            console.error('Camera stop error:', error);
+            this.showError('Failed to stop camera');
         }
-        
-        if (DEBUG_MODE) console.log('Canvas quality configured for touch and resize preview canvases');
     }
     
-    updateControlPanelVisibility() {
-        // Hide control panel after delay in fullscreen mode
-        if (this.isFullscreen) {
-            clearTimeout(this.hideControlsTimeout);
-            this.controlPanel.classList.remove('hidden');
-            
-            this.hideControlsTimeout = setTimeout(() => {
-                this.controlPanel.classList.add('hidden');
-            }, 3000); // Hide after 3 seconds
+    // API Methods for Touch Interval Control
+    setCaptureInterval(milliseconds) {
+        if (typeof milliseconds === 'number' && milliseconds >= 0) {
+            this.touchSettings.captureInterval = milliseconds;
+            if (DEBUG_MODE) console.log(`Capture interval set to ${milliseconds}ms`);
         } else {
-            clearTimeout(this.hideControlsTimeout);
-            this.controlPanel.classList.remove('hidden');
+            console.warn('Invalid capture interval value');
         }
     }
     
-    updateStatus(message) {
-        if (this.statusDisplay) {
-            this.statusDisplay.textContent = message;
-            if (DEBUG_MODE) console.log('Status:', message);
-        }
+    getCaptureInterval() {
+        return this.touchSettings.captureInterval;
     }
     
-    showError(message) {
-        if (this.errorDisplay) {
-            this.errorDisplay.textContent = message;
-            this.errorDisplay.classList.add('show');
-            
-            // Auto-hide after 5 seconds
-            setTimeout(() => {
-                this.errorDisplay.classList.remove('show');
-            }, 5000);
-        }
-        console.error('Error:', message);
+    enableContinuousCapture(enabled = true) {
+        this.touchSettings.enableContinuousCapture = enabled;
+        if (DEBUG_MODE) console.log(`Continuous capture ${enabled ? 'enabled' : 'disabled'}`);
     }
     
-    // Canvas size configuration methods
-    setCanvasSize(width, height) {
-        this.canvasSettings.width = width;
-        this.canvasSettings.height = height;
-        this.updateCanvasSize();
-        if (DEBUG_MODE) console.log('Canvas size updated to:', { width, height });
+    resetCaptureTimer() {
+        this.pointers.forEach(finger => {
+            finger.lastCaptureTime = 0;
+        });
+        if (DEBUG_MODE) console.log('Capture timer reset');
     }
     
-    setCanvasPreset(preset) {
-        const presets = {
-            'HD': { width: 1280, height: 720 },
-            'FHD': { width: 1920, height: 1080 },
-            '4K': { width: 3840, height: 2160 },
-            '8K': { width: 7680, height: 4320 },
-            'SQUARE_HD': { width: 1080, height: 1080 },
-            'SQUARE_4K': { width: 2160, height: 2160 }
-        };
-        
-        if (presets[preset]) {
-            this.setCanvasSize(presets[preset].width, presets[preset].height);
-            if (DEBUG_MODE) console.log('Canvas preset applied:', preset, presets[preset]);
+    // Shutter sound control methods
+    enableShutterSound(enabled = true) {
+        this.shutterSettings.enabled = enabled;
+        if (DEBUG_MODE) console.log(`Shutter sound ${enabled ? 'enabled' : 'disabled'}`);
+    }
+    
+    setShutterVolume(volume) {
+        if (typeof volume === 'number' && volume >= 0 && volume <= 1) {
+            this.shutterSettings.volume = volume;
+            // Update volume for all audio instances in the pool
+            this.shutterAudioPool.forEach(audio => {
+                audio.volume = volume;
+            });
+            if (DEBUG_MODE) console.log(`Shutter volume set to ${volume}`);
         } else {
-            console.warn('Unknown canvas preset:', preset);
+            console.warn('Invalid volume value (0-1 expected)');
         }
     }
     
-    getCanvasInfo() {
-        return {
-            settings: { ...this.canvasSettings },
-            actualSize: {
-                width: this.touchCanvas ? this.touchCanvas.width : 0,
-                height: this.touchCanvas ? this.touchCanvas.height : 0
-            },
-            viewportSize: {
-                width: window.innerWidth,
-                height: window.innerHeight
-            },
-            scaling: {
-                x: this.scaleFactorX,
-                y: this.scaleFactorY
-            }
-        };
+    setMaxConcurrentSounds(count) {
+        if (typeof count === 'number' && count > 0 && count <= 5) {  // Reduced max for performance
+            this.shutterSettings.maxConcurrentSounds = count;
+            // Reinitialize audio pool with new count
+            this.initShutterSound();
+            if (DEBUG_MODE) console.log(`Max concurrent shutter sounds set to ${count}`);
+        } else {
+            console.warn('Invalid concurrent sounds count (1-5 expected)');
+        }
     }
     
-    // Rotation configuration methods
-    setRotationRange(maxAngle) {
-        this.rotationSettings.maxAngle = Math.max(0, Math.min(180, Math.abs(maxAngle)));
-        
-        if (DEBUG_MODE) console.log('Rotation range updated: ±' + this.rotationSettings.maxAngle + '°');
+    // Panel control API methods
+    togglePanel() {
+        if (this.isPanelMinimized) {
+            this.expandPanel();
+        } else {
+            this.minimizePanel();
+        }
     }
     
-    setRotationEnabled(enabled) {
-        this.rotationSettings.enabled = !!enabled;
-        if (DEBUG_MODE) console.log('Rotation', this.rotationSettings.enabled ? 'enabled' : 'disabled');
-        this.updateStatus(`Rotation ${this.rotationSettings.enabled ? 'ON' : 'OFF'} (±${this.rotationSettings.maxAngle}°)`);
+    isPanelVisible() {
+        return !this.isPanelMinimized;
     }
     
-    getRotationInfo() {
+    // Resize mode API methods
+    getCurrentCaptureSize() {
         return {
-            enabled: this.rotationSettings.enabled,
-            maxAngle: this.rotationSettings.maxAngle,
-            range: this.rotationSettings.maxAngle * 2
+            width: this.copySettings.width,
+            height: this.copySettings.height
         };
     }
     
-    // Camera resolution configuration methods
-    setCameraResolution(width, height) {
-        this.cameraSettings.idealWidth = Math.max(320, Math.min(7680, width));
-        this.cameraSettings.idealHeight = Math.max(240, Math.min(4320, height));
-        if (DEBUG_MODE) console.log('Camera resolution preference updated:', {
-            width: this.cameraSettings.idealWidth,
-            height: this.cameraSettings.idealHeight
-        });
-        this.updateStatus(`Camera target: ${this.cameraSettings.idealWidth}x${this.cameraSettings.idealHeight}`);
-    }
-    
-    setCameraResolutionPreset(preset) {
-        const presets = {
-            'VGA': { width: 640, height: 480 },
-            'HD': { width: 1280, height: 720 },
-            'FHD': { width: 1920, height: 1080 },
-            '4K': { width: 3840, height: 2160 },
-            '8K': { width: 7680, height: 4320 }
-        };
+    setCaptureSize(width, height = null) {
+        if (height === null) height = width; // Square by default
         
-        if (presets[preset]) {
-            this.setCameraResolution(presets[preset].width, presets[preset].height);
-            if (DEBUG_MODE) console.log('Camera resolution preset applied:', preset, presets[preset]);
-        } else {
-            console.warn('Unknown camera resolution preset:', preset);
+        this.copySettings.width = Math.max(50, Math.min(2000, width));
+        this.copySettings.height = Math.max(50, Math.min(2000, height));
+        
+        if (DEBUG_MODE) console.log(`Capture size set to ${this.copySettings.width}x${this.copySettings.height}`);
+    }
+    
+    isResizeModeActive() {
+        return this.resizeMode.active;
+    }
+    
+    forceExitResizeMode() {
+        if (this.resizeMode.active) {
+            this.exitResizeMode();
         }
     }
     
-    async restartCameraWithNewResolution() {
+    async switchCamera() {
         try {
-            this.updateStatus('Restarting camera with new resolution...');
-            this.stopCamera(false); // Don't clear canvas when changing resolution
+            this.updateStatus('Switching camera...');
+            
+            // Toggle facing mode (drops any explicitly selected device)
+            this.currentFacingMode = this.currentFacingMode === 'user' ? 'environment' : 'user';
+            this.cameraDeviceId = null;
+            
+            if (DEBUG_MODE) console.log('Switching to camera:', this.currentFacingMode);
+            
+            // Skip canvas resize to preserve content during camera switch
+            this.skipCanvasResize = true;
+            
+            // Stop current camera without clearing canvas
+            this.stopCamera(false);
+            
+            // Start camera with new facing mode
             await this.startCamera();
+            
+            this.updateStatus(`Camera switched to ${this.currentFacingMode === 'user' ? 'front' : 'rear'}`);
+            
         } catch (error) {
-            console.error('Failed to restart camera:', error);
-            this.showError('Failed to restart camera with new resolution');
+            console.error('Camera switch error:', error);
+            this.showError('Failed to switch camera: ' + error.message);
+            
+            // Revert to previous facing mode on error
+            this.currentFacingMode = this.currentFacingMode === 'user' ? 'environment' : 'user';
+            try {
+                await this.startCamera();
+            } catch (revertError) {
+                console.error('Failed to revert camera:', revertError);
+                this.showError('Camera access failed');
+            }
         }
     }
     
-    getCurrentCameraInfo() {
-        const videoTrack = this.stream?.getVideoTracks()?.[0];
-        if (!videoTrack) {
-            return { status: 'No camera active' };
+    // List video inputs for the device picker (labels appear once camera permission is granted)
+    async listCameraDevices() {
+        if (!navigator.mediaDevices?.enumerateDevices) return [];
+        
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'videoinput' && device.deviceId)
+            .map((device, index) => ({
+                deviceId: device.deviceId,
+                label: device.label || `Camera ${index + 1}`
+            }));
+    }
+    
+    // Select a camera by deviceId (null returns to front/rear selection)
+    async setCameraDevice(deviceId) {
+        const previousDeviceId = this.cameraDeviceId;
+        this.cameraDeviceId = deviceId || null;
+        
+        // Applied on the next start when the camera is not running
+        if (!this.stream || this.sourceMode !== 'camera') return true;
+        if (this.cameraDeviceId && this.cameraDeviceId === this.activeDeviceId) return true;
+        
+        try {
+            this.updateStatus('Switching camera...');
+            this.skipCanvasResize = true;
+            this.stopCamera(false);
+            await this.startCamera();
+            if (DEBUG_MODE) console.log('Camera device selected:', this.cameraDeviceId, this.stream?.getVideoTracks()[0]?.label);
+            return this.cameraDeviceId === (deviceId || null);
+        } catch (error) {
+            console.error('Camera device switch error:', error);
+            this.showError('Failed to switch camera: ' + error.message);
+            this.cameraDeviceId = previousDeviceId;
+            return false;
         }
+    }
+    
+    switchToAlbumMode(imageFile) {
+        if (DEBUG_MODE) console.log('Switching to album mode');
+        this.sourceMode = 'album';
         
-        const settings = videoTrack.getSettings();
-        const capabilities = videoTrack.getCapabilities?.() || {};
+        // Stop camera without clearing canvas
+        if (this.stream) {
+            this.stopCamera(false);
+        }
+        
+        // Hide video, show image element
+        if (this.video) {
+            this.video.style.display = 'none';
+        }
+        
+        // Create or reuse image element for album mode
+        if (!this.albumImageElement) {
+            this.albumImageElement = document.createElement('img');
+            this.albumImageElement.style.position = 'absolute';
+            this.albumImageElement.style.top = '0';
+            this.albumImageElement.style.left = '0';
+            this.albumImageElement.style.width = '100%';
+            this.albumImageElement.style.height = '100%';
+            this.albumImageElement.style.objectFit = 'cover';
+            this.albumImageElement.style.zIndex = '1';
+            document.getElementById('cameraContainer').appendChild(this.albumImageElement);
+        }
+        
+        // Load the selected image
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const originalImage = new Image();
+            originalImage.onload = () => {
+                // Resize image to match canvas resolution for memory efficiency
+                const resizedImage = this.resizeImageForAlbum(originalImage);
+                
+                this.selectedImage = resizedImage.image;
+                this.albumImageElement.src = resizedImage.dataUrl;
+                this.albumImageElement.style.display = 'block';
+                
+                if (DEBUG_MODE) console.log('Album image loaded and resized:', {
+                    original: { width: originalImage.width, height: originalImage.height },
+                    resized: { width: this.selectedImage.width, height: this.selectedImage.height },
+                    memorySaved: `${Math.round((1 - (resizedImage.image.width * resizedImage.image.height) / (originalImage.width * originalImage.height)) * 100)}%`
+                });
+                this.updateStatus('Album mode - Touch to copy regions');
+            };
+            originalImage.src = e.target.result;
+        };
+        reader.readAsDataURL(imageFile);
+    }
+    
+    // Resize album image to match canvas aspect ratio and resolution (cover mode)
+    // This ensures the image fills the entire canvas while maintaining aspect ratio
+    resizeImageForAlbum(originalImage) {
+        const originalWidth = originalImage.width;
+        const originalHeight = originalImage.height;
+        
+        // Target resolution: match canvas size (device resolution or fixed format, with max limit)
+        const dpr = window.devicePixelRatio || 1;
+        const maxDimension = this.canvasSettings.maxDimension || 2160;
+        
+        let targetWidth = this.touchCanvas?.width > 1 ? this.touchCanvas.width : Math.round(window.innerWidth * dpr);
+        let targetHeight = this.touchCanvas?.height > 1 ? this.touchCanvas.height : Math.round(window.innerHeight * dpr);
+        
+        // Apply maximum dimension limit
+        if (targetWidth > maxDimension || targetHeight > maxDimension) {
+            const scale = maxDimension / Math.max(targetWidth, targetHeight);
+            targetWidth = Math.round(targetWidth * scale);
+            targetHeight = Math.round(targetHeight * scale);
+        }
+        
+        // Calculate scale to COVER the target area (fill entire canvas, may crop)
+        // This matches the CSS object-fit: cover behavior
+        const originalAspect = originalWidth / originalHeight;
+        const targetAspect = targetWidth / targetHeight;
+        
+        let srcX = 0, srcY = 0, srcWidth = originalWidth, srcHeight = originalHeight;
+        
+        if (originalAspect > targetAspect) {
+            // Original is wider - crop left and right
+            srcWidth = originalHeight * targetAspect;
+            srcX = (originalWidth - srcWidth) / 2;
+        } else {
+            // Original is taller - crop top and bottom
+            srcHeight = originalWidth / targetAspect;
+            srcY = (originalHeight - srcHeight) / 2;
+        }
+        
+        // Create canvas with target dimensions (matching screen aspect ratio)
+        const canvas = document.createElement('canvas');
+        canvas.width = targetWidth;
+        canvas.height = targetHeight;
+        const ctx = canvas.getContext('2d');
+        
+        // Enable high-quality scaling
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        
+        // Draw cropped and scaled image to fill entire canvas
+        ctx.drawImage(
+            originalImage,
+            srcX, srcY, srcWidth, srcHeight,  // Source rectangle (cropped)
+            0, 0, targetWidth, targetHeight    // Destination rectangle (full canvas)
+        );
+        
+        // Create resized image object
+        const dataUrl = canvas.toDataURL('image/jpeg', 0.92);
+        const resizedImage = new Image();
+        resizedImage.width = targetWidth;
+        resizedImage.height = targetHeight;
+        resizedImage.src = dataUrl;
+        
+        if (DEBUG_MODE) {
+            console.log('Album image cover crop:', {
+                original: { width: originalWidth, height: originalHeight, aspect: originalAspect.toFixed(2) },
+                target: { width: targetWidth, height: targetHeight, aspect: targetAspect.toFixed(2) },
+                crop: { x: Math.round(srcX), y: Math.round(srcY), width: Math.round(srcWidth), height: Math.round(srcHeight) }
+            });
+        }
+        
+        return { image: resizedImage, dataUrl: dataUrl };
+    }
+    
+    async switchToCameraMode() {
+        if (DEBUG_MODE) console.log('Switching to camera mode');
+        this.sourceMode = 'camera';
+        
+        // Hide album image
+        if (this.albumImageElement) {
+            this.albumImageElement.style.display = 'none';
+        }
+        
+        // Show video
+        if (this.video) {
+            this.video.style.display = 'block';
+        }
+        
+        // Skip canvas resize to preserve content during mode switch
+        this.skipCanvasResize = true;
+        
+        // Start camera without clearing canvas
+        if (!this.stream) {
+            await this.startCamera();
+        }
+    }
+    
+    // Calculate export canvas size for a preset key or a custom size object
+    // Custom size: { scale } or { widthMm, heightMm } (printed at exportSettings.dpi)
+    getExportDimensions(size = this.exportSettings.size, outputSize = this.getOutputSize()) {
+        const presets = {
+            '1x': { scale: 1 },        // Canvas output size (fixed format or device resolution)
+            '2x': { scale: 2 },
+            '4x': { scale: 4 },
+            'A4': { widthMm: 210, heightMm: 297 },
+            'A3': { widthMm: 297, heightMm: 420 }
+        };
+        
+        const preset = typeof size === 'object' ? size : (presets[size] || presets['1x']);
+        const { width: canvasWidth, height: canvasHeight } = outputSize;
+        
+        let scale;
+        if (preset.widthMm && preset.heightMm) {
+            // Fit the collage inside the paper, matching the collage orientation
+            const paperShort = Math.min(preset.widthMm, preset.heightMm);
+            const paperLong = Math.max(preset.widthMm, preset.heightMm);
+            const isLandscape = canvasWidth > canvasHeight;
+            const paperWidth = (isLandscape ? paperLong : paperShort) / 25.4 * this.exportSettings.dpi;
+            const paperHeight = (isLandscape ? paperShort : paperLong) / 25.4 * this.exportSettings.dpi;
+            scale = Math.min(paperWidth / canvasWidth, paperHeight / canvasHeight);
+        } else {
+            scale = preset.scale || 1;
+        }
+        
+        // Apply maximum pixel limit for memory safety
+        let limited = false;
+        const maxScale = Math.sqrt(this.exportSettings.maxPixels / (canvasWidth * canvasHeight));
+        if (scale > maxScale) {
+            scale = maxScale;
+            limited = true;
+        }
         
         return {
-            current: {
-                width: settings.width,
-                height: settings.height,
-                frameRate: settings.frameRate,
-                facingMode: settings.facingMode
-            },
-            capabilities: {
-                width: capabilities.width,
-                height: capabilities.height,
-                frameRate: capabilities.frameRate
-            },
-            settings: { ...this.cameraSettings }
+            width: Math.floor(canvasWidth * scale),
+            height: Math.floor(canvasHeight * scale),
+            scale: scale,
+            limited: limited
+        };
+    }
+    
+    // Area of reference space to export (exportSettings.extent) and its output pixels per unit at 1x
+    // 'visible' is the current view for the open collage and the default canvas area for others
+    getExportRegion(collage = this.collage, outputSize = this.getOutputSize()) {
+        const referenceWidth = this.canvasSettings.referenceWidth || 3840;
+        const density = outputSize.width / referenceWidth;
+        
+        if (this.exportSettings.extent === 'full') {
+            const bounds = this.getCollageBounds(collage);
+            if (bounds) {
+                return { ...bounds, density: density };
+            }
+        }
+        
+        const view = collage === this.collage ? this.view : { x: 0, y: 0, zoom: 1 };
+        return {
+            x: view.x,
+            y: view.y,
+            width: referenceWidth / view.zoom,
+            height: outputSize.height / density / view.zoom,
+            density: density * view.zoom
+        };
+    }
+    
+    // Pixel size of an export region at 1x
+    getRegionSize(region) {
+        return {
+            width: Math.max(1, Math.round(region.width * region.density)),
+            height: Math.max(1, Math.round(region.height * region.density))
         };
     }
     
-    // Rendering quality configuration methods
-    setRenderingQuality(quality) {
-        const qualities = {
-            'low': {
-                imageSmoothingEnabled: false,
-                imageSmoothingQuality: 'low'
-            },
-            'medium': {
-                imageSmoothingEnabled: true,
-                imageSmoothingQuality: 'medium'
-            },
-            'high': {
-                imageSmoothingEnabled: true,
-                imageSmoothingQuality: 'high'
-            }
-        };
-        
-        if (qualities[quality]) {
-            Object.assign(this.renderingSettings, qualities[quality]);
-            this.configureCanvasQuality();
-            if (DEBUG_MODE) console.log('Rendering quality set to:', quality, qualities[quality]);
-            this.updateStatus(`Rendering quality: ${quality}`);
-        } else {
-            console.warn('Unknown rendering quality:', quality);
-        }
+    // Compose the collage into a new canvas at the export size
+    // background: 'transparent', 'black', 'white', 'camera' (current source frame) or a CSS color
+    // collage/outputSize: render another collage model (e.g. from the gallery) instead of the current one
+    renderExportCanvas(size = this.exportSettings.size, background = this.exportSettings.background,
+                       collage = this.collage, outputSize = this.getOutputSize()) {
+        const region = this.getExportRegion(collage, outputSize);
+        const dimensions = this.getExportDimensions(size, this.getRegionSize(region));
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = dimensions.width;
+        canvas.height = dimensions.height;
+        const ctx = canvas.getContext('2d');
+        
+        ctx.imageSmoothingEnabled = true;
+        if ('imageSmoothingQuality' in ctx) {
+            ctx.imageSmoothingQuality = 'high';
+        }
+        
+        // The export region spans the full canvas width at any output size
+        this.renderCollage(ctx, canvas.width / region.width, collage, region.x, region.y);
+        
+        this.drawExportBackground(ctx, background);
+        
+        if (dimensions.limited) {
+            console.warn('Export size limited for memory safety:', dimensions);
+        }
+        if (DEBUG_MODE) console.log('Export canvas rendered:', dimensions);
+        
+        return canvas;
+    }
+    
+    // Draw the background behind already rendered pieces
+    drawExportBackground(ctx, background) {
+        if (!background || background === 'transparent') return;
+        
+        const { width, height } = ctx.canvas;
+        ctx.save();
+        ctx.globalCompositeOperation = 'destination-over';
+        
+        if (background === 'camera') {
+            if (this.isSourceReady()) {
+                // Same cover mapping as the live view, scaled from the visible canvas to the export canvas
+                const source = this.sourceMode === 'camera' ? this.video : this.selectedImage;
+                const sourceWidth = this.sourceMode === 'camera' ? this.video.videoWidth : this.selectedImage.width;
+                const sourceHeight = this.sourceMode === 'camera' ? this.video.videoHeight : this.selectedImage.height;
+                const mapping = this.getSourceMapping(sourceWidth, sourceHeight);
+                const scale = mapping.scale * this.touchCanvas.width / width;
+                ctx.drawImage(source, mapping.offsetX, mapping.offsetY, width * scale, height * scale, 0, 0, width, height);
+            } else {
+                console.warn('Camera frame not available for export background, using black');
+            }
+            // Fill any uncovered area (and the fallback) with black
+            background = 'black';
+        }
+        
+        const colors = { black: '#000000', white: '#ffffff' };
+        ctx.fillStyle = colors[background] || background;
+        ctx.fillRect(0, 0, width, height);
+        ctx.restore();
+    }
+    
+    setExportSize(size) {
+        const dimensions = this.getExportDimensions(size, this.getRegionSize(this.getExportRegion()));
+        this.exportSettings.size = size;
+        this.updateStatus(`Export size: ${dimensions.width}x${dimensions.height}`);
+        if (DEBUG_MODE) console.log('Export size set to:', size, dimensions);
+    }
+    
+    // Export pipeline: render -> encode -> share (falls back to download)
+    // Used by the save button, the Settings share button and gallery re-export
+    // collage: model rendered into exportCanvas (for provenance metadata)
+    async saveCanvas(exportCanvas = null, collage = this.collage) {
+        try {
+            if (DEBUG_MODE) console.log('Saving canvas...');
+            
+            const format = this.getExportFormat();
+            exportCanvas = exportCanvas || this.renderExportCanvas(undefined, this.getExportBackground(format));
+            
+            let blob;
+            try {
+                blob = await this.encodeExportCanvas(exportCanvas, format);
+                blob = await this.embedMetadata(blob, collage);
+            } finally {
+                // Release export canvas memory
+                exportCanvas.width = 1;
+                exportCanvas.height = 1;
+            }
+            
+            const extension = this.getExportFormat(blob.type).extension;
+            await this.shareOrDownload(blob, `joiner-collage-${Date.now()}.${extension}`);
+            
+        } catch (error) {
+            console.error('Save canvas error:', error);
+            this.showError('Failed to save image');
+        }
+    }
+    
+    // Export format info; type: MIME type or format key (defaults to the export setting)
+    getExportFormat(type = this.exportSettings.format) {
+        const formats = {
+            png: { type: 'image/png', extension: 'png', alpha: true, lossy: false },
+            jpeg: { type: 'image/jpeg', extension: 'jpg', alpha: false, lossy: true },
+            webp: { type: 'image/webp', extension: 'webp', alpha: true, lossy: true },
+            avif: { type: 'image/avif', extension: 'avif', alpha: true, lossy: true }
+        };
+        const key = Object.keys(formats).find(name => name === type || formats[name].type === type);
+        return { key: key || 'png', ...formats[key || 'png'] };
+    }
+    
+    // Formats without alpha (JPEG) get a black background instead of transparency
+    getExportBackground(format = this.getExportFormat()) {
+        const background = this.exportSettings.background;
+        return (!format.alpha && background === 'transparent') ? 'black' : background;
+    }
+    
+    // Encode the export canvas; browsers without an encoder for the type fall back to PNG
+    async encodeExportCanvas(canvas, format = this.getExportFormat()) {
+        const blob = await this.canvasToBlob(canvas, format.type, format.lossy ? this.exportSettings.quality : undefined);
+        
+        if (blob.type !== format.type) {
+            console.warn(`${format.type} encoding not supported, exported as ${blob.type}`);
+            this.updateStatus(`${format.key.toUpperCase()} not supported - saved as PNG`);
+        }
+        
+        return blob;
+    }
+    
+    // Provenance metadata methods
+    getAppVersion() {
+        const script = document.querySelector('script[src*="script.js"]');
+        if (!script) return 'unknown';
+        return new URL(script.src, window.location.href).searchParams.get('v') || 'unknown';
+    }
+    
+    // Provenance record of a collage (values are strings)
+    getProvenance(collage = this.collage) {
+        // Collages saved before provenance was kept on the model only have piece timestamps
+        const recorded = collage.provenance || {};
+        const captureTimes = collage.pieces.map(piece => piece.createdAt).filter(Boolean);
+        if (recorded.firstCaptureAt) {
+            captureTimes.push(recorded.firstCaptureAt); // Covers pieces flattened into the base layer
+        }
+        const captureDate = captureTimes.length > 0 ? new Date(Math.min(...captureTimes)) : new Date();
+        
+        return {
+            artist: this.metadataSettings.artist,
+            software: `Joiner ${this.getAppVersion()}`,
+            appVersion: this.getAppVersion(),
+            captureDate: captureDate.toISOString(),
+            exportDate: new Date().toISOString(),
+            pieceCount: String(this.getPieceCount(collage)),
+            sourceMode: recorded.sourceMode || 'unknown',
+            cameraResolution: recorded.cameraResolution || 'none',
+            randomSeed: recorded.randomSeed !== undefined ? String(recorded.randomSeed) : 'unknown'
+        };
+    }
+    
+    // Embed provenance into an encoded image (PNG/APNG or JPEG); other formats are returned unchanged
+    async embedMetadata(blob, collage = this.collage) {
+        if (!this.metadataSettings.enabled) return blob;
+        
+        try {
+            const bytes = new Uint8Array(await blob.arrayBuffer());
+            const provenance = this.getProvenance(collage);
+            
+            if (bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4E && bytes[3] === 0x47) {
+                return new Blob([this.insertPNGMetadata(bytes, provenance)], { type: blob.type });
+            }
+            if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+                return new Blob([this.insertJPEGMetadata(bytes, provenance)], { type: blob.type });
+            }
+            
+            if (DEBUG_MODE) console.log('Metadata not supported for', blob.type);
+            return blob;
+        } catch (error) {
+            // Never fail an export because of metadata
+            console.warn('Failed to embed metadata:', error);
+            return blob;
+        }
+    }
+    
+    // XMP packet shared by PNG (iTXt) and JPEG (APP1)
+    buildXMP(provenance) {
+        const escape = (value) => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        
+        return '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>\n' +
+            '<x:xmpmeta xmlns:x="adobe:ns:meta/">\n' +
+            ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">\n' +
+            '  <rdf:Description rdf:about=""\n' +
+            '    xmlns:dc="http://purl.org/dc/elements/1.1/"\n' +
+            '    xmlns:xmp="http://ns.adobe.com/xap/1.0/"\n' +
+            '    xmlns:joiner="urn:joiner:provenance:1.0"\n' +
+            `    xmp:CreatorTool="${escape(provenance.software)}"\n` +
+            `    xmp:CreateDate="${escape(provenance.captureDate)}"\n` +
+            `    xmp:MetadataDate="${escape(provenance.exportDate)}"\n` +
+            `    joiner:AppVersion="${escape(provenance.appVersion)}"\n` +
+            `    joiner:PieceCount="${escape(provenance.pieceCount)}"\n` +
+            `    joiner:SourceMode="${escape(provenance.sourceMode)}"\n` +
+            `    joiner:CameraResolution="${escape(provenance.cameraResolution)}"\n` +
+            `    joiner:RandomSeed="${escape(provenance.randomSeed)}">\n` +
+            `   <dc:creator><rdf:Seq><rdf:li>${escape(provenance.artist)}</rdf:li></rdf:Seq></dc:creator>\n` +
+            '  </rdf:Description>\n' +
+            ' </rdf:RDF>\n' +
+            '</x:xmpmeta>\n' +
+            '<?xpacket end="w"?>';
+    }
+    
+    // Insert tEXt chunks (standard keywords) and an iTXt XMP chunk right after IHDR
+    insertPNGMetadata(bytes, provenance) {
+        const encoder = new TextEncoder();
+        const latin1 = (text) => Uint8Array.from(text, char => char.charCodeAt(0) & 0xFF);
+        const concat = (...parts) => {
+            const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+            let offset = 0;
+            parts.forEach(part => {
+                out.set(part, offset);
+                offset += part.length;
+            });
+            return out;
+        };
+        
+        const text = {
+            'Author': provenance.artist,
+            'Software': provenance.software,
+            'Creation Time': provenance.captureDate,
+            'Source': `${provenance.sourceMode} ${provenance.cameraResolution}`,
+            'Comment': `${provenance.pieceCount} pieces, seed ${provenance.randomSeed}`
+        };
+        const chunks = Object.entries(text).map(([keyword, value]) =>
+            this.createPNGChunk('tEXt', concat(latin1(keyword), new Uint8Array([0]), latin1(value)))
+        );
+        
+        // iTXt: keyword, null, compression flag, method, language tag null, translated keyword null, UTF-8 text
+        chunks.push(this.createPNGChunk('iTXt', concat(
+            latin1('XML:com.adobe.xmp'), new Uint8Array([0, 0, 0, 0, 0]), encoder.encode(this.buildXMP(provenance))
+        )));
+        
+        // Signature (8) + IHDR chunk (4 length + 4 type + 13 data + 4 CRC)
+        const insertAt = 8 + 25;
+        return concat(bytes.subarray(0, insertAt), ...chunks, bytes.subarray(insertAt));
+    }
+    
+    // Insert an XMP APP1 segment after SOI (and after the JFIF APP0 segment if present)
+    insertJPEGMetadata(bytes, provenance) {
+        const header = new TextEncoder().encode('http://ns.adobe.com/xap/1.0/\0');
+        const xmp = new TextEncoder().encode(this.buildXMP(provenance));
+        const length = 2 + header.length + xmp.length;
+        if (length > 65535) {
+            throw new Error('XMP packet too large for a JPEG segment');
+        }
+        
+        let insertAt = 2;
+        if (bytes[2] === 0xFF && bytes[3] === 0xE0) {
+            insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
+        }
+        
+        const segment = new Uint8Array(2 + length);
+        segment[0] = 0xFF;
+        segment[1] = 0xE1;
+        segment[2] = length >> 8;
+        segment[3] = length & 0xFF;
+        segment.set(header, 4);
+        segment.set(xmp, 4 + header.length);
+        
+        const out = new Uint8Array(bytes.length + segment.length);
+        out.set(bytes.subarray(0, insertAt), 0);
+        out.set(segment, insertAt);
+        out.set(bytes.subarray(insertAt), insertAt + segment.length);
+        return out;
+    }
+    
+    // Share a file with the Web Share API (iOS Safari and Android Chrome), or download it
+    async shareOrDownload(blob, filename) {
+        const file = new File([blob], filename, { type: blob.type });
+        
+        if (!navigator.share || !navigator.canShare || !navigator.canShare({ files: [file] })) {
+            if (DEBUG_MODE) console.log('File sharing not supported, downloading...');
+            this.downloadBlob(blob, filename);
+            return 'downloaded';
+        }
+        
+        try {
+            await navigator.share({
+                title: 'Joiner Collage',
+                files: [file]
+            });
+            if (DEBUG_MODE) console.log('File shared successfully');
+            this.updateStatus('Saved/shared');
+            return 'shared';
+        } catch (error) {
+            // AbortError means the user cancelled the share sheet
+            if (error.name === 'AbortError') {
+                return 'cancelled';
+            }
+            console.warn('Share failed, falling back to download:', error);
+            this.downloadBlob(blob, filename);
+            return 'downloaded';
+        } finally {
+            // iOS Safari often freezes the camera stream after the share sheet closes
+            if (this.sourceMode === 'camera') {
+                if (DEBUG_MODE) console.log('Share completed, restarting camera to prevent freeze...');
+                setTimeout(() => {
+                    this.restartCamera();
+                }, 300); // Small delay to allow share sheet to fully close
+            }
+        }
+    }
+    
+    downloadBlob(blob, filename = `joiner-collage-${Date.now()}.png`) {
+        try {
+            // Create object URL from blob (more memory efficient than dataURL)
+            const url = URL.createObjectURL(blob);
+            
+            // Create download link
+            const link = document.createElement('a');
+            link.download = filename;
+            link.href = url;
+            
+            // Trigger download
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            
+            // Release object URL to free memory
+            URL.revokeObjectURL(url);
+            
+            if (DEBUG_MODE) console.log('File downloaded:', filename);
+            this.updateStatus('Downloaded');
+            
+        } catch (error) {
+            console.error('Download error:', error);
+            this.showError('Failed to download file');
+        }
+    }
+    
+    // Timelapse video methods
+    // Pick the first container/codec the browser can record (Safari: MP4, others: WebM)
+    getTimelapseMimeType() {
+        const candidates = [
+            'video/mp4;codecs=avc1',
+            'video/mp4',
+            'video/webm;codecs=vp9',
+            'video/webm;codecs=vp8',
+            'video/webm'
+        ];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    }
+    
+    // Playback time of each piece (ms from start), with idle gaps optionally compressed
+    getTimelapseSchedule(pieces) {
+        const schedule = [];
+        let time = 0;
+        
+        pieces.forEach((piece, index) => {
+            if (index > 0) {
+                const gap = Math.max(0, piece.createdAt - pieces[index - 1].createdAt);
+                const maxGap = this.timelapseSettings.speedUpIdle
+                    ? this.timelapseSettings.maxIdleGap
+                    : this.timelapseSettings.maxRealtimeGap;
+                time += Math.min(gap, maxGap);
+            }
+            schedule.push(time);
+        });
+        
+        return schedule;
+    }
+    
+    // Replay the collage piece by piece into a recorded canvas and export the clip
+    async recordTimelapse() {
+        if (this.timelapse.recording) return;
+        
+        const pieces = this.collage.pieces.slice();
+        if (pieces.length === 0) {
+            this.updateStatus('Nothing to record');
+            return;
+        }
+        
+        if (!window.MediaRecorder || !HTMLCanvasElement.prototype.captureStream) {
+            this.showError('Video recording is not supported on this browser');
+            return;
+        }
+        
+        const settings = this.timelapseSettings;
+        const region = this.getExportRegion();
+        const regionSize = this.getRegionSize(region);
+        const fit = Math.min(1, settings.maxSize / Math.max(regionSize.width, regionSize.height));
+        // Video encoders require even dimensions
+        const width = Math.max(2, Math.round(regionSize.width * fit / 2) * 2);
+        const height = Math.max(2, Math.round(regionSize.height * fit / 2) * 2);
+        const scale = width / region.width;
+        
+        // Pieces accumulate on the stage; every frame copies the stage to the recorded canvas
+        // so the stream keeps producing frames while nothing changes (idle gaps, final hold)
+        const stage = document.createElement('canvas');
+        stage.width = width;
+        stage.height = height;
+        const stageCtx = stage.getContext('2d');
+        stageCtx.imageSmoothingEnabled = true;
+        stageCtx.imageSmoothingQuality = 'high';
+        stageCtx.fillStyle = '#000000';
+        stageCtx.fillRect(0, 0, width, height);
+        stageCtx.translate(-region.x * scale, -region.y * scale);
+        
+        // Pieces flattened out of the retained model have no timestamps - show them from the start
+        this.drawBaseTiles(stageCtx, scale);
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(stage, 0, 0);
+        
+        const mimeType = this.getTimelapseMimeType();
+        const schedule = this.getTimelapseSchedule(pieces);
+        const duration = schedule[schedule.length - 1] + settings.holdDuration;
+        let stream = null;
+        
+        this.timelapse.recording = true;
+        this.updateStatus('Recording timelapse...');
+        if (DEBUG_MODE) console.log('Timelapse recording:', { width, height, mimeType, pieces: pieces.length, duration });
+        
+        try {
+            // The recorder throws for an unsupported mimeType, so it is created inside the try
+            stream = canvas.captureStream(settings.fps);
+            const recorder = new MediaRecorder(stream, {
+                mimeType: mimeType || undefined,
+                videoBitsPerSecond: settings.bitrate
+            });
+            const chunks = [];
+            recorder.ondataavailable = (event) => {
+                if (event.data && event.data.size > 0) {
+                    chunks.push(event.data);
+                }
+            };
+            const stopped = new Promise((resolve, reject) => {
+                recorder.onstop = resolve;
+                recorder.onerror = (event) => reject(event.error || new Error('Recording failed'));
+            });
+            
+            recorder.start();
+            
+            // Timer-driven (not requestAnimationFrame) so playback keeps its pace if the page is hidden
+            await new Promise((resolve) => {
+                const startTime = performance.now();
+                let nextPiece = 0;
+                
+                const tick = () => {
+                    const elapsed = performance.now() - startTime;
+                    
+                    while (nextPiece < pieces.length && schedule[nextPiece] <= elapsed) {
+                        this.drawPiece(stageCtx, pieces[nextPiece], scale);
+                        nextPiece++;
+                    }
+                    ctx.drawImage(stage, 0, 0);
+                    
+                    if (elapsed >= duration) {
+                        resolve();
+                    } else {
+                        setTimeout(tick, 1000 / settings.fps);
+                    }
+                };
+                tick();
+            });
+            
+            recorder.stop();
+            await stopped;
+            
+            const type = recorder.mimeType || mimeType || 'video/webm';
+            const extension = type.startsWith('video/mp4') ? 'mp4' : 'webm';
+            const blob = new Blob(chunks, { type: type.split(';')[0] });
+            await this.shareOrDownload(blob, `joiner-timelapse-${Date.now()}.${extension}`);
+        } catch (error) {
+            console.error('Timelapse error:', error);
+            this.showError('Failed to record timelapse');
+        } finally {
+            if (stream) {
+                stream.getTracks().forEach(track => track.stop());
+            }
+            stage.width = 1;
+            stage.height = 1;
+            canvas.width = 1;
+            canvas.height = 1;
+            this.timelapse.recording = false;
+        }
+    }
+    
+    // Animated PNG (APNG) methods
+    // Frames are encoded in the browser (CompressionStream deflate) so export works offline
+    // Bounding box of a piece including rotation and shadow (pixels of the target scale)
+    getPieceBounds(piece, scale) {
+        const frame = piece.frame || { top: 0, side: 0, bottom: 0 };
+        const radius = Math.hypot(piece.width + frame.side * 2, piece.height + frame.top + frame.bottom) / 2 +
+            Math.abs(frame.bottom - frame.top) / 2;
+        const shadow = piece.shadowBlur + Math.max(Math.abs(piece.shadowOffsetX), Math.abs(piece.shadowOffsetY));
+        const extent = (radius + shadow) * scale;
+        return {
+            x: piece.centerX * scale - extent,
+            y: piece.centerY * scale - extent,
+            width: extent * 2,
+            height: extent * 2
+        };
+    }
+    
+    async exportAnimation() {
+        if (this.animation.encoding) return;
+        
+        const pieces = this.collage.pieces.slice();
+        if (pieces.length === 0) {
+            this.updateStatus('Nothing to export');
+            return;
+        }
+        
+        if (!window.CompressionStream) {
+            this.showError('Animated export is not supported on this browser');
+            return;
+        }
+        
+        const settings = this.animationSettings;
+        const region = this.getExportRegion();
+        const regionSize = this.getRegionSize(region);
+        const fit = Math.min(1, settings.maxSize / Math.max(regionSize.width, regionSize.height));
+        const width = Math.max(1, Math.round(regionSize.width * fit));
+        const height = Math.max(1, Math.round(regionSize.height * fit));
+        const scale = width / region.width;
+        
+        const stage = document.createElement('canvas');
+        stage.width = width;
+        stage.height = height;
+        const stageCtx = stage.getContext('2d', { willReadFrequently: true });
+        stageCtx.imageSmoothingEnabled = true;
+        stageCtx.imageSmoothingQuality = 'high';
+        
+        stageCtx.translate(-region.x * scale, -region.y * scale);
+        
+        // Pieces flattened out of the retained model are part of the first frame
+        this.drawBaseTiles(stageCtx, scale);
+        
+        this.animation.encoding = true;
+        this.updateStatus('Encoding animation...');
+        
+        try {
+            const frames = [];
+            
+            for (let i = 0; i < pieces.length; i++) {
+                this.drawPiece(stageCtx, pieces[i], scale);
+                
+                // The first frame covers the whole canvas; later frames only the area of the new piece
+                let frameRegion = { x: 0, y: 0, width: width, height: height };
+                if (i > 0) {
+                    // Piece bounds in stage pixels (the stage is translated to the export region)
+                    const bounds = this.getPieceBounds(pieces[i], scale);
+                    bounds.x -= region.x * scale;
+                    bounds.y -= region.y * scale;
+                    const x = Math.max(0, Math.floor(bounds.x));
+                    const y = Math.max(0, Math.floor(bounds.y));
+                    frameRegion = {
+                        x: x,
+                        y: y,
+                        width: Math.min(width, Math.ceil(bounds.x + bounds.width)) - x,
+                        height: Math.min(height, Math.ceil(bounds.y + bounds.height)) - y
+                    };
+                    // Piece entirely off canvas - keep a 1px frame so the timing stays intact
+                    if (frameRegion.width <= 0 || frameRegion.height <= 0) {
+                        frameRegion = { x: 0, y: 0, width: 1, height: 1 };
+                    }
+                }
+                
+                const imageData = stageCtx.getImageData(frameRegion.x, frameRegion.y, frameRegion.width, frameRegion.height);
+                frames.push({
+                    ...frameRegion,
+                    delay: settings.frameDelay + (i === pieces.length - 1 ? settings.finalDelay : 0),
+                    data: await this.deflatePNGData(imageData)
+                });
+                
+                if (i % 20 === 0) {
+                    this.updateStatus(`Encoding animation... ${Math.round(i / pieces.length * 100)}%`);
+                }
+            }
+            
+            const blob = await this.embedMetadata(this.buildAPNG(width, height, frames, settings.loopCount));
+            await this.shareOrDownload(blob, `joiner-buildup-${Date.now()}.png`);
+            if (DEBUG_MODE) console.log('APNG exported:', { width, height, frames: frames.length, bytes: blob.size });
+        } catch (error) {
+            console.error('Animation export error:', error);
+            this.showError('Failed to export animation');
+        } finally {
+            stage.width = 1;
+            stage.height = 1;
+            this.animation.encoding = false;
+        }
+    }
+    
+    // Filter RGBA rows (Paeth) and zlib-compress them into PNG image data
+    async deflatePNGData(imageData) {
+        const { width, height, data } = imageData;
+        const stride = width * 4;
+        const filtered = new Uint8Array((stride + 1) * height);
+        
+        for (let y = 0; y < height; y++) {
+            const row = y * stride;
+            const out = y * (stride + 1);
+            filtered[out] = 4; // Paeth filter
+            
+            for (let x = 0; x < stride; x++) {
+                const a = x >= 4 ? data[row + x - 4] : 0;
+                const b = y > 0 ? data[row - stride + x] : 0;
+                const c = (x >= 4 && y > 0) ? data[row - stride + x - 4] : 0;
+                const p = a + b - c;
+                const pa = Math.abs(p - a);
+                const pb = Math.abs(p - b);
+                const pc = Math.abs(p - c);
+                const predictor = (pa <= pb && pa <= pc) ? a : (pb <= pc ? b : c);
+                filtered[out + 1 + x] = (data[row + x] - predictor) & 0xFF;
+            }
+        }
+        
+        const stream = new Blob([filtered]).stream().pipeThrough(new CompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    
+    // Assemble APNG chunks: IHDR, acTL, then fcTL + IDAT/fdAT for each frame
+    buildAPNG(width, height, frames, loopCount) {
+        const chunks = [new Uint8Array([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])];
+        let sequence = 0;
+        
+        const header = new DataView(new ArrayBuffer(13));
+        header.setUint32(0, width);
+        header.setUint32(4, height);
+        header.setUint8(8, 8);   // Bit depth
+        header.setUint8(9, 6);   // Color type RGBA
+        chunks.push(this.createPNGChunk('IHDR', new Uint8Array(header.buffer)));
+        
+        const animationControl = new DataView(new ArrayBuffer(8));
+        animationControl.setUint32(0, frames.length);
+        animationControl.setUint32(4, loopCount);
+        chunks.push(this.createPNGChunk('acTL', new Uint8Array(animationControl.buffer)));
+        
+        frames.forEach((frame, index) => {
+            const frameControl = new DataView(new ArrayBuffer(26));
+            frameControl.setUint32(0, sequence++);
+            frameControl.setUint32(4, frame.width);
+            frameControl.setUint32(8, frame.height);
+            frameControl.setUint32(12, frame.x);
+            frameControl.setUint32(16, frame.y);
+            frameControl.setUint16(20, Math.min(65535, Math.round(frame.delay)));
+            frameControl.setUint16(22, 1000);  // Delay denominator (ms)
+            frameControl.setUint8(24, 0);      // Dispose: none (frames build up)
+            frameControl.setUint8(25, 0);      // Blend: source (region is already composited)
+            chunks.push(this.createPNGChunk('fcTL', new Uint8Array(frameControl.buffer)));
+            
+            if (index === 0) {
+                chunks.push(this.createPNGChunk('IDAT', frame.data));
+            } else {
+                const frameData = new Uint8Array(4 + frame.data.length);
+                new DataView(frameData.buffer).setUint32(0, sequence++);
+                frameData.set(frame.data, 4);
+                chunks.push(this.createPNGChunk('fdAT', frameData));
+            }
+        });
+        
+        chunks.push(this.createPNGChunk('IEND', new Uint8Array(0)));
+        return new Blob(chunks, { type: 'image/apng' });
+    }
+    
+    // PNG chunk: length, type, data, CRC32 of type + data
+    createPNGChunk(type, data) {
+        const chunk = new Uint8Array(12 + data.length);
+        const view = new DataView(chunk.buffer);
+        view.setUint32(0, data.length);
+        for (let i = 0; i < 4; i++) {
+            chunk[4 + i] = type.charCodeAt(i);
+        }
+        chunk.set(data, 8);
+        view.setUint32(8 + data.length, this.crc32(chunk.subarray(4, 8 + data.length)));
+        return chunk;
+    }
+    
+    crc32(bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+        
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+    
+    // Gallery (IndexedDB) methods
+    openGalleryDB() {
+        if (this.gallery.db) {
+            return Promise.resolve(this.gallery.db);
+        }
+        
+        if (!window.indexedDB) {
+            return Promise.reject(new Error('IndexedDB is not supported in this browser'));
+        }
+        
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.gallerySettings.dbName, this.gallerySettings.dbVersion);
+            
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // Metadata and thumbnails are kept apart from piece data so listing stays light
+                if (!db.objectStoreNames.contains('collages')) {
+                    db.createObjectStore('collages', { keyPath: 'id' });
+                }
+                if (!db.objectStoreNames.contains('collageData')) {
+                    db.createObjectStore('collageData', { keyPath: 'id' });
+                }
+                // Single 'current' record holding the unsaved collage for crash recovery
+                if (!db.objectStoreNames.contains('autosave')) {
+                    db.createObjectStore('autosave', { keyPath: 'id' });
+                }
+            };
+            
+            request.onsuccess = () => {
+                this.gallery.db = request.result;
+                // Another tab upgraded the database - reopen on next access
+                this.gallery.db.onversionchange = () => {
+                    this.gallery.db.close();
+                    this.gallery.db = null;
+                };
+                resolve(this.gallery.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    // Run requests in one transaction; resolves with the result of the request returned by work()
+    async galleryTransaction(storeNames, mode, work) {
+        const db = await this.openGalleryDB();
+        
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            let result;
+            
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+            
+            const request = work(transaction);
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+        });
+    }
+    
+    canvasToBlob(canvas, type = 'image/png', quality) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob((blob) => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Failed to create blob from canvas'));
+                }
+            }, type, quality);
+        });
+    }
+    
+    // Decode a stored image blob into something drawImage() accepts
+    async loadImageBlob(blob) {
+        if (window.createImageBitmap) {
+            return createImageBitmap(blob);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const url = URL.createObjectURL(blob);
+            const image = new Image();
+            image.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve(image);
+            };
+            image.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Failed to decode image'));
+            };
+            image.src = url;
+        });
+    }
+    
+    // Serialize the retained collage into plain data with image blobs
+    async serializeCollage() {
+        const pieces = [];
+        
+        for (const piece of this.collage.pieces) {
+            // Encode each piece only once - loaded pieces keep their original blob
+            if (!piece.imageBlob) {
+                piece.imageBlob = await this.canvasToBlob(
+                    piece.image, this.gallerySettings.pieceType, this.gallerySettings.pieceQuality
+                );
+            }
+            const { image, ...record } = piece;
+            pieces.push(record);
+        }
+        
+        return {
+            referenceWidth: this.canvasSettings.referenceWidth,
+            canvas: {
+                format: this.canvasSettings.format,
+                width: this.canvasSettings.width,
+                height: this.canvasSettings.height
+            },
+            outputSize: this.getOutputSize(),
+            view: { ...this.view },
+            pieces: pieces,
+            baseTiles: await Promise.all(Array.from(this.collage.baseTiles, async ([key, tile]) => ({
+                key: key,
+                image: await this.canvasToBlob(tile)
+            }))),
+            baseBounds: this.collage.baseBounds,
+            baseLayerScale: this.collage.baseLayerScale,
+            flattenedCount: this.collage.flattenedCount,
+            provenance: this.collage.provenance
+        };
+    }
+    
+    // Restore a collage model from serialized data
+    async deserializeCollage(data) {
+        const pieces = await Promise.all(data.pieces.map(async (record) => ({
+            ...record,
+            image: await this.loadImageBlob(record.imageBlob)
+        })));
+        
+        const collage = {
+            pieces: pieces,
+            nextPieceId: pieces.reduce((max, piece) => Math.max(max, piece.id), 0) + 1,
+            baseTiles: new Map(),
+            baseBounds: data.baseBounds || null,
+            baseLayerScale: data.baseLayerScale || 1,
+            flattenedCount: data.flattenedCount || 0,
+            provenance: data.provenance || null
+        };
+        
+        // Tiles are drawn into and re-encoded later, so decoded images go back onto canvases
+        const tilePixels = Math.ceil(this.collageSettings.baseTileSize * collage.baseLayerScale);
+        for (const tile of data.baseTiles || []) {
+            const image = await this.loadImageBlob(tile.image);
+            const canvas = document.createElement('canvas');
+            canvas.width = tilePixels;
+            canvas.height = tilePixels;
+            canvas.getContext('2d').drawImage(image, 0, 0, tilePixels, tilePixels);
+            image.close?.();
+            collage.baseTiles.set(tile.key, canvas);
+        }
+        
+        // Collages saved before the tiled base layer have one canvas-sized layer at the origin
+        if (data.baseLayer) {
+            const layer = await this.loadImageBlob(data.baseLayer);
+            const bounds = {
+                x: 0,
+                y: 0,
+                width: layer.width / collage.baseLayerScale,
+                height: layer.height / collage.baseLayerScale
+            };
+            this.drawToBaseTiles(collage, bounds, (ctx, scale) => {
+                ctx.drawImage(layer, 0, 0, bounds.width * scale, bounds.height * scale);
+            });
+            layer.close?.();
+        }
+        
+        return collage;
+    }
+    
+    async createThumbnail() {
+        const regionSize = this.getRegionSize(this.getExportRegion());
+        const scale = this.gallerySettings.thumbnailSize / Math.max(regionSize.width, regionSize.height);
+        const thumbnail = this.renderExportCanvas({ scale: scale }, 'black');
+        const blob = await this.canvasToBlob(thumbnail, 'image/jpeg', 0.8);
+        thumbnail.width = 1;
+        thumbnail.height = 1;
+        return blob;
+    }
+    
+    // Save the current collage (updates the opened gallery entry, or creates a new one)
+    async saveToGallery() {
+        if (!this.canUndo() && !this.hasBaseLayer()) {
+            this.updateStatus('Nothing to save');
+            return null;
+        }
+        
+        try {
+            this.updateStatus('Saving to gallery...');
+            
+            const now = Date.now();
+            const id = this.gallery.currentId || `${now}-${Math.random().toString(36).slice(2, 8)}`;
+            const data = await this.serializeCollage();
+            const thumbnail = await this.createThumbnail();
+            
+            const existing = this.gallery.currentId
+                ? await this.galleryTransaction('collages', 'readonly', tx => tx.objectStore('collages').get(id))
+                : null;
+            
+            const entry = {
+                id: id,
+                title: existing?.title || `Joiner ${new Date(now).toLocaleString()}`,
+                createdAt: existing?.createdAt || now,
+                updatedAt: now,
+                pieceCount: data.pieces.length + data.flattenedCount,
+                outputSize: data.outputSize,
+                thumbnail: thumbnail
+            };
+            
+            await this.galleryTransaction(['collages', 'collageData'], 'readwrite', (tx) => {
+                tx.objectStore('collages').put(entry);
+                tx.objectStore('collageData').put({ id: id, ...data });
+            });
+            
+            this.gallery.currentId = id;
+            this.gallery.dirty = false;
+            this.autosave.pending = true;
+            this.updateStatus('Saved to gallery');
+            if (DEBUG_MODE) console.log('Collage saved to gallery:', entry);
+            return id;
+        } catch (error) {
+            console.error('Gallery save error:', error);
+            this.showError('Failed to save to gallery');
+            return null;
+        }
+    }
+    
+    // List gallery entries (metadata + thumbnail), newest first
+    async listGallery() {
+        const entries = await this.galleryTransaction('collages', 'readonly', tx => tx.objectStore('collages').getAll());
+        return (entries || []).sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+    
+    async loadGalleryCollage(id) {
+        const data = await this.galleryTransaction('collageData', 'readonly', tx => tx.objectStore('collageData').get(id));
+        if (!data) {
+            throw new Error(`Gallery collage not found: ${id}`);
+        }
+        return data;
+    }
+    
+    // Replace the canvas with serialized collage data (gallery entry or autosave)
+    async applyCollageData(data) {
+        const collage = await this.deserializeCollage(data);
+        
+        // Restore the canvas format the collage was made with
+        const canvas = data.canvas || {};
+        if (canvas.format && canvas.format !== 'CUSTOM') {
+            this.setCanvasPreset(canvas.format);
+        } else {
+            this.setCanvasSize(canvas.width, canvas.height);
+        }
+        
+        this.resetCollage();
+        Object.assign(this.collage, collage);
+        // Captures made before opening belong to another collage
+        this.resetRecorder();
+        this.history.nextStrokeId = collage.pieces.reduce((max, piece) => Math.max(max, piece.strokeId), 0) + 1;
+        
+        // Return to the area the collage was last viewed at
+        Object.assign(this.view, { x: 0, y: 0, zoom: 1 }, data.view);
+        
+        this.redrawCollage();
+        this.updateHistoryButtons();
+        return collage;
+    }
+    
+    // Open a gallery collage on the canvas to keep adding pieces
+    async openGalleryCollage(id) {
+        try {
+            this.updateStatus('Opening collage...');
+            const data = await this.loadGalleryCollage(id);
+            const collage = await this.applyCollageData(data);
+            this.gallery.currentId = id;
+            this.gallery.dirty = false;
+            this.updateStatus(`Opened collage (${collage.pieces.length} pieces)`);
+            return true;
+        } catch (error) {
+            console.error('Gallery open error:', error);
+            this.showError('Failed to open collage');
+            return false;
+        }
+    }
+    
+    async duplicateGalleryCollage(id) {
+        try {
+            const now = Date.now();
+            const newId = `${now}-${Math.random().toString(36).slice(2, 8)}`;
+            const entry = await this.galleryTransaction('collages', 'readonly', tx => tx.objectStore('collages').get(id));
+            const data = await this.loadGalleryCollage(id);
+            
+            await this.galleryTransaction(['collages', 'collageData'], 'readwrite', (tx) => {
+                tx.objectStore('collages').put({
+                    ...entry,
+                    id: newId,
+                    title: `${entry.title} (copy)`,
+                    createdAt: now,
+                    updatedAt: now
+                });
+                tx.objectStore('collageData').put({ ...data, id: newId });
+            });
+            
+            this.updateStatus('Collage duplicated');
+            return newId;
+        } catch (error) {
+            console.error('Gallery duplicate error:', error);
+            this.showError('Failed to duplicate collage');
+            return null;
+        }
+    }
+    
+    async deleteGalleryCollage(id) {
+        try {
+            await this.galleryTransaction(['collages', 'collageData'], 'readwrite', (tx) => {
+                tx.objectStore('collages').delete(id);
+                tx.objectStore('collageData').delete(id);
+            });
+            
+            // The opened collage stays on the canvas but is no longer linked to the gallery
+            if (this.gallery.currentId === id) {
+                this.gallery.currentId = null;
+                this.markCollageChanged();
+            }
+            
+            this.updateStatus('Collage deleted');
+            return true;
+        } catch (error) {
+            console.error('Gallery delete error:', error);
+            this.showError('Failed to delete collage');
+            return false;
+        }
+    }
+    
+    // Re-export a gallery collage at the current export size without opening it
+    async exportGalleryCollage(id) {
+        try {
+            this.updateStatus('Exporting collage...');
+            const data = await this.loadGalleryCollage(id);
+            const collage = await this.deserializeCollage(data);
+            const exportCanvas = this.renderExportCanvas(undefined, this.getExportBackground(), collage, data.outputSize);
+            await this.saveCanvas(exportCanvas, collage);
+            return true;
+        } catch (error) {
+            console.error('Gallery export error:', error);
+            this.showError('Failed to export collage');
+            return false;
+        }
+    }
+    
+    // Autosave (crash recovery) methods
+    // iOS may kill the tab while backgrounded (e.g. after the share sheet), so unsaved
+    // work is checkpointed periodically and whenever the page is hidden
+    startAutosave() {
+        if (this.autosave.timer) return;
+        this.autosave.timer = setInterval(() => {
+            this.checkpointCollage();
+        }, this.autosaveSettings.interval);
+    }
+    
+    // Write the unsaved collage to IndexedDB, or remove the checkpoint once nothing is unsaved
+    async checkpointCollage() {
+        if (!this.autosave.pending) return;
+        
+        // Wait for a running checkpoint so writes never interleave
+        if (this.autosave.saving) {
+            await this.autosave.saving;
+            if (!this.autosave.pending) return;
+        }
+        
+        this.autosave.pending = false;
+        this.autosave.saving = (async () => {
+            try {
+                if (!this.gallery.dirty || this.getPieceCount() === 0) {
+                    await this.galleryTransaction('autosave', 'readwrite', tx => tx.objectStore('autosave').delete('current'));
+                    if (DEBUG_MODE) console.log('Autosave checkpoint cleared');
+                    return;
+                }
+                
+                const data = await this.serializeCollage();
+                await this.galleryTransaction('autosave', 'readwrite', tx => tx.objectStore('autosave').put({
+                    id: 'current',
+                    galleryId: this.gallery.currentId,
+                    savedAt: Date.now(),
+                    ...data
+                }));
+                if (DEBUG_MODE) console.log('Autosave checkpoint written:', data.pieces.length, 'pieces');
+            } catch (error) {
+                // Retry on the next tick of the autosave timer
+                this.autosave.pending = true;
+                console.warn('Autosave failed:', error);
+            } finally {
+                this.autosave.saving = null;
+            }
+        })();
+        
+        return this.autosave.saving;
+    }
+    
+    // Offer to restore unsaved work left by a previous session
+    async offerAutosaveRestore() {
+        let record;
+        try {
+            record = await this.galleryTransaction('autosave', 'readonly', tx => tx.objectStore('autosave').get('current'));
+        } catch (error) {
+            console.warn('Autosave unavailable:', error);
+            return false;
+        }
+        
+        if (!record || !record.pieces || (record.pieces.length === 0 && !record.baseLayer && !record.baseTiles?.length)) {
+            return false;
+        }
+        
+        const savedAt = new Date(record.savedAt).toLocaleString();
+        if (!confirm(`Restore the unsaved collage from ${savedAt}?`)) {
+            try {
+                await this.galleryTransaction('autosave', 'readwrite', tx => tx.objectStore('autosave').delete('current'));
+            } catch (error) {
+                console.warn('Failed to discard autosave:', error);
+            }
+            return false;
+        }
+        
+        try {
+            const collage = await this.applyCollageData(record);
+            // Keep the gallery link so the next save updates the same entry
+            this.gallery.currentId = record.galleryId || null;
+            this.gallery.dirty = true;
+            this.updateStatus(`Restored collage (${collage.pieces.length} pieces)`);
+            return true;
+        } catch (error) {
+            console.error('Autosave restore error:', error);
+            this.showError('Failed to restore collage');
+            return false;
+        }
+    }
+    
+    clearCanvas() {
+        try {
+            if (this.touchCtx) {
+                this.touchCtx.clearRect(0, 0, this.touchCanvas.width, this.touchCanvas.height);
+                this.resetCollage();
+                // A cleared canvas starts a new recording (the random sequence continues)
+                this.resetRecorder();
+                // A new panorama is centered on the heading of its first piece
+                if (this.orientation) {
+                    this.orientation.originYaw = null;
+                }
+                if (DEBUG_MODE) console.log('Canvas cleared');
+                this.updateStatus('Canvas cleared');
+            }
+        } catch (error) {
+            console.error('Clear canvas error:', error);
+            this.showError('Failed to clear canvas');
+        }
+    }
+    
+    toggleFullscreen() {
+        if (this.isFullscreen) {
+            this.exitFullscreen();
+        } else {
+            this.enterFullscreen();
+        }
+    }
+    
+    async enterFullscreen() {
+        try {
+            // iOS Safari support: check alternative requestFullscreen methods
+            const element = document.body;
+            
+            if (element.requestFullscreen) {
+                await element.requestFullscreen();
+            } else if (element.webkitRequestFullscreen) {
+                await element.webkitRequestFullscreen();
+            } else if (element.mozRequestFullScreen) {
+                await element.mozRequestFullScreen();
+            } else if (element.msRequestFullscreen) {
+                await element.msRequestFullscreen();
+            } else {
+                // iOS Safari cannot do true fullscreen, use alternative method
+                console.warn('Fullscreen API not available (iOS Safari)');
+                this.simulateFullscreen();
+                return;
+            }
+            
+            this.isFullscreen = true;
+            if (DEBUG_MODE) console.log('Fullscreen mode started');
+        } catch (error) {
+            console.error('Fullscreen mode failed:', error);
+            // iOS Safari support: use alternative method on error
+            this.simulateFullscreen();
+        }
+    }
+    
+    simulateFullscreen() {
+        // Pseudo-fullscreen mode for iOS Safari
+        document.body.style.position = 'fixed';
+        document.body.style.top = '0';
+        document.body.style.left = '0';
+        document.body.style.width = '100vw';
+        document.body.style.height = '100vh';
+        document.body.style.zIndex = '9999';
+        
+        // Update viewport meta tag to hide status bar
+        let viewport = document.querySelector('meta[name=viewport]');
+        if (viewport) {
+            viewport.setAttribute('content', 'width=device-width, initial-scale=1.0, viewport-fit=cover');
+        }
+        
+        this.isFullscreen = true;
+        this.updateStatus('Pseudo-fullscreen mode (iOS support)');
+        if (DEBUG_MODE) console.log('Pseudo-fullscreen mode started');
+    }
+    
+    exitSimulatedFullscreen() {
+        // Exit pseudo-fullscreen mode
+        document.body.style.position = '';
+        document.body.style.top = '';
+        document.body.style.left = '';
+        document.body.style.width = '';
+        document.body.style.height = '';
+        document.body.style.zIndex = '';
+        
+        // Restore viewport meta tag
+        let viewport = document.querySelector('meta[name=viewport]');
+        if (viewport) {
+            viewport.setAttribute('content', 'width=device-width, initial-scale=1.0');
+        }
+        
+        this.isFullscreen = false;
+        if (DEBUG_MODE) console.log('Pseudo-fullscreen mode ended');
+    }
+    
+    async exitFullscreen() {
+        try {
+            if (document.exitFullscreen) {
+                await document.exitFullscreen();
+            } else if (document.webkitExitFullscreen) {
+                await document.webkitExitFullscreen();
+            } else if (document.mozCancelFullScreen) {
+                await document.mozCancelFullScreen();
+            } else if (document.msExitFullscreen) {
+                await document.msExitFullscreen();
+            } else {
+                // Exit pseudo-fullscreen mode
+                this.exitSimulatedFullscreen();
+                return;
+            }
+            
+            this.isFullscreen = false;
+            if (DEBUG_MODE) console.log('Fullscreen mode ended');
+        } catch (error) {
+            console.error('Fullscreen exit failed:', error);
+            // Exit pseudo-fullscreen on error
+            this.exitSimulatedFullscreen();
+        }
+    }
+    
+    // Fixed output format size (oriented to the viewport), or null for device resolution
+    getFormatSize() {
+        const { width, height, matchOrientation } = this.canvasSettings;
+        if (!width || !height) {
+            return null;
+        }
+        
+        const container = this.touchCanvas?.parentElement;
+        const viewportWidth = container?.clientWidth || window.innerWidth;
+        const viewportHeight = container?.clientHeight || window.innerHeight;
+        
+        if (matchOrientation && (width > height) !== (viewportWidth > viewportHeight) && width !== height) {
+            return { width: height, height: width };
+        }
+        return { width, height };
+    }
+    
+    // Nominal output size used as the 1x export size
+    getOutputSize() {
+        return this.getFormatSize() || {
+            width: this.touchCanvas.width,
+            height: this.touchCanvas.height
+        };
+    }
+    
+    updateCanvasSize() {
+        if (this.touchCanvas && this.video) {
+            // Get viewport dimensions (the camera container the canvas is laid out in)
+            const container = this.touchCanvas.parentElement;
+            const viewportWidth = container?.clientWidth || window.innerWidth;
+            const viewportHeight = container?.clientHeight || window.innerHeight;
+            
+            // Use device's actual pixel resolution for optimal quality and performance
+            const dpr = window.devicePixelRatio || 1;
+            const maxDimension = this.canvasSettings.maxDimension || 2160;
+            
+            // Fixed formats are letterboxed into the viewport
+            const formatSize = this.getFormatSize();
+            let displayWidth = viewportWidth;
+            let displayHeight = viewportHeight;
+            let canvasWidth, canvasHeight;
+            
+            if (formatSize) {
+                const fitScale = Math.min(viewportWidth / formatSize.width, viewportHeight / formatSize.height);
+                displayWidth = formatSize.width * fitScale;
+                displayHeight = formatSize.height * fitScale;
+                canvasWidth = formatSize.width;
+                canvasHeight = formatSize.height;
+            } else {
+                // Calculate canvas size based on device resolution
+                canvasWidth = Math.round(viewportWidth * dpr);
+                canvasHeight = Math.round(viewportHeight * dpr);
+            }
+            
+            // Apply maximum dimension limit for memory safety
+            if (canvasWidth > maxDimension || canvasHeight > maxDimension) {
+                const scale = maxDimension / Math.max(canvasWidth, canvasHeight);
+                canvasWidth = Math.round(canvasWidth * scale);
+                canvasHeight = Math.round(canvasHeight * scale);
+            }
+            
+            if (DEBUG_MODE) {
+                console.log('Device resolution calculation:', {
+                    viewport: [viewportWidth, viewportHeight],
+                    display: [displayWidth, displayHeight],
+                    format: this.canvasSettings.format,
+                    dpr: dpr,
+                    canvas: [canvasWidth, canvasHeight],
+                    pixels: canvasWidth * canvasHeight,
+                    memoryMB: Math.round(canvasWidth * canvasHeight * 4 / 1024 / 1024)
+                });
+            }
+            
+            // Set internal canvas resolution (high quality)
+            // Note: Changing canvas width/height clears the canvas, so the collage is
+            // re-rendered from the retained pieces once the scaled settings are updated
+            this.touchCanvas.width = canvasWidth;
+            this.touchCanvas.height = canvasHeight;
+            
+            // ResizePreview canvas is now lazily initialized when entering resize mode
+            // to save memory (only allocates during pinch gesture)
+            // Initialize to minimal size (1x1) to avoid 4K memory allocation
+            if (this.resizePreview && this.resizePreview.width > 1) {
+                this.resizePreview.width = 1;
+                this.resizePreview.height = 1;
+            }
+            
+            // Scale canvas to fit viewport with CSS (centered letterbox for fixed formats)
+            if (this.canvasSettings.scaleToFit) {
+                const canvases = [this.touchCanvas, this.resizePreview].filter(canvas => canvas);
+                canvases.forEach(canvas => {
+                    if (formatSize) {
+                        canvas.style.left = `${(viewportWidth - displayWidth) / 2}px`;
+                        canvas.style.top = `${(viewportHeight - displayHeight) / 2}px`;
+                        canvas.style.width = `${displayWidth}px`;
+                        canvas.style.height = `${displayHeight}px`;
+                    } else {
+                        canvas.style.left = '0';
+                        canvas.style.top = '0';
+                        canvas.style.width = '100%';
+                        canvas.style.height = '100%';
+                    }
+                });
+                container?.classList.toggle('letterboxed', !!formatSize);
+            } else {
+                displayWidth = canvasWidth / dpr;
+                displayHeight = canvasHeight / dpr;
+            }
+            
+            // Store scaling factors for coordinate conversion (CSS pixels to canvas pixels)
+            this.scaleFactorX = canvasWidth / displayWidth;
+            this.scaleFactorY = canvasHeight / displayHeight;
+            
+            // Touch rect changed - force refresh on next touch
+            this.cachedTouchRect = null;
+            
+            // Scale settings based on canvas size relative to 4K reference
+            this.updateScaledSettings(canvasWidth);
+            
+            // Reapply quality settings after resize
+            this.configureCanvasQuality();
+            
+            // Re-render the collage at the new resolution (exact, no rasterized rescale)
+            this.redrawCollage();
+            
+            if (DEBUG_MODE) {
+                console.log('Canvas size updated with device resolution:', {
+                    canvasWidth: canvasWidth,
+                    canvasHeight: canvasHeight,
+                    viewportWidth: viewportWidth,
+                    viewportHeight: viewportHeight,
+                    scaleFactorX: this.scaleFactorX,
+                    scaleFactorY: this.scaleFactorY,
+                    scaledCopySize: [this.copySettings.width, this.copySettings.height],
+                    scaledOffset: [this.positionOffsetSettings.maxOffsetX, this.positionOffsetSettings.maxOffsetY]
+                });
+            }
+        }
+    }
+    
+    // Scale copy size and position offset settings based on canvas size
+    updateScaledSettings(canvasWidth) {
+        const referenceWidth = this.canvasSettings.referenceWidth || 3840;
+        const scaleFactor = canvasWidth / referenceWidth;
+        
+        // Scale copy region size
+        this.copySettings.width = Math.round(this.copySettings.baseWidth * scaleFactor);
+        this.copySettings.height = Math.round(this.copySettings.baseHeight * scaleFactor);
+        
+        // Scale resize mode default size
+        this.resizeMode.currentWidth = Math.round(this.resizeMode.baseWidth * scaleFactor);
+        this.resizeMode.currentHeight = Math.round(this.resizeMode.baseHeight * scaleFactor);
+        
+        // Scale position offset settings
+        const baseOffsetX = this.positionOffsetSettings.baseOffsetX || 80;
+        const baseOffsetY = this.positionOffsetSettings.baseOffsetY || 80;
+        this.positionOffsetSettings.maxOffsetX = Math.round(baseOffsetX * scaleFactor);
+        this.positionOffsetSettings.maxOffsetY = Math.round(baseOffsetY * scaleFactor);
+        this.positionOffsetSettings.minOffsetX = -this.positionOffsetSettings.maxOffsetX;
+        this.positionOffsetSettings.minOffsetY = -this.positionOffsetSettings.maxOffsetY;
+        
+        // Scale piece frame margins
+        Object.entries(this.frameSettings.baseMargins).forEach(([style, margins]) => {
+            this.frameSettings.margins[style] = {
+                top: Math.round(margins.top * scaleFactor),
+                side: Math.round(margins.side * scaleFactor),
+                bottom: Math.round(margins.bottom * scaleFactor)
+            };
+        });
+        
+        // Scale shadow settings
+        const baseShadowBlur = 100;
+        const baseShadowOffset = 25;
+        this.shadowSettings.blur = Math.round(baseShadowBlur * scaleFactor);
+        this.shadowSettings.offsetX = Math.round(baseShadowOffset * scaleFactor);
+        this.shadowSettings.offsetY = Math.round(baseShadowOffset * scaleFactor);
+        
+        if (DEBUG_MODE) {
+            console.log('Settings scaled for canvas width:', canvasWidth, {
+                scaleFactor: scaleFactor,
+                copySize: [this.copySettings.width, this.copySettings.height],
+                positionOffset: this.positionOffsetSettings.maxOffsetX,
+                shadowBlur: this.shadowSettings.blur
+            });
+        }
+    }
+    
+    configureCanvasQuality() {
+        if (!this.touchCtx) return;
+        
+        if (DEBUG_MODE) console.log('Configuring canvas quality settings...');
+        
+        // Configure touch canvas
+        this.touchCtx.imageSmoothingEnabled = this.renderingSettings.imageSmoothingEnabled;
+        if ('imageSmoothingQuality' in this.touchCtx) {
+            this.touchCtx.imageSmoothingQuality = this.renderingSettings.imageSmoothingQuality;
+        }
+        this.touchCtx.textRenderingOptimization = 'optimizeQuality';
+        this.touchCtx.lineCap = 'round';
+        this.touchCtx.lineJoin = 'round';
+        this.touchCtx.globalCompositeOperation = 'source-over';
+        
+        // Configure resize preview canvas
+        if (this.resizeCtx) {
+            this.resizeCtx.imageSmoothingEnabled = true;
+            if ('imageSmoothingQuality' in this.resizeCtx) {
+                this.resizeCtx.imageSmoothingQuality = 'high';
+            }
+            this.resizeCtx.lineCap = 'round';
+            this.resizeCtx.lineJoin = 'round';
+        }
+        
+        if (DEBUG_MODE) console.log('Canvas quality configured for touch and resize preview canvases');
+    }
+    
+    updateControlPanelVisibility() {
+        // Hide control panel after delay in fullscreen mode
+        if (this.isFullscreen) {
+            clearTimeout(this.hideControlsTimeout);
+            this.controlPanel.classList.remove('hidden');
+            
+            this.hideControlsTimeout = setTimeout(() => {
+                this.controlPanel.classList.add('hidden');
+            }, 3000); // Hide after 3 seconds
+        } else {
+            clearTimeout(this.hideControlsTimeout);
+            this.controlPanel.classList.remove('hidden');
+        }
+    }
+    
+    updateStatus(message) {
+        if (this.statusDisplay) {
+            this.statusDisplay.textContent = message;
+            if (DEBUG_MODE) console.log('Status:', message);
+        }
+    }
+    
+    showError(message) {
+        if (this.errorDisplay) {
+            this.errorDisplay.textContent = message;
+            this.errorDisplay.classList.add('show');
+            
+            // Auto-hide after 5 seconds
+            setTimeout(() => {
+                this.errorDisplay.classList.remove('show');
+            }, 5000);
+        }
+        console.error('Error:', message);
+    }
+    
+    // Canvas size configuration methods
+    // Set a fixed output size (letterboxed to the viewport), or null to use device resolution
+    setCanvasSize(width, height) {
+        this.canvasSettings.width = width || null;
+        this.canvasSettings.height = height || null;
+        this.canvasSettings.format = (width && height) ? 'CUSTOM' : 'DEVICE';
+        this.updateCanvasSize();
+        if (DEBUG_MODE) console.log('Canvas size updated to:', { width, height });
+    }
+    
+    setCanvasPreset(preset) {
+        const presets = {
+            'DEVICE': { width: null, height: null },
+            'HD': { width: 1280, height: 720 },
+            'FHD': { width: 1920, height: 1080 },
+            '4K': { width: 3840, height: 2160 },
+            '8K': { width: 7680, height: 4320 },
+            'SQUARE_HD': { width: 1080, height: 1080 },
+            'SQUARE_4K': { width: 2160, height: 2160 },
+            'PORTRAIT_4_5': { width: 1728, height: 2160 },
+            'A4': { width: 2480, height: 3508 },   // 210x297mm at 300dpi
+            'A3': { width: 3508, height: 4961 }    // 297x420mm at 300dpi
+        };
+        
+        if (presets[preset]) {
+            this.setCanvasSize(presets[preset].width, presets[preset].height);
+            this.canvasSettings.format = preset;
+            if (DEBUG_MODE) console.log('Canvas preset applied:', preset, presets[preset]);
+            return true;
+        } else {
+            console.warn('Unknown canvas preset:', preset);
+            return false;
+        }
+    }
+    
+    getCanvasInfo() {
+        return {
+            settings: { ...this.canvasSettings },
+            actualSize: {
+                width: this.touchCanvas ? this.touchCanvas.width : 0,
+                height: this.touchCanvas ? this.touchCanvas.height : 0
+            },
+            outputSize: this.touchCanvas ? this.getOutputSize() : null,
+            viewportSize: {
+                width: window.innerWidth,
+                height: window.innerHeight
+            },
+            scaling: {
+                x: this.scaleFactorX,
+                y: this.scaleFactorY
+            }
+        };
+    }
+    
+    // Rotation configuration methods
+    setRotationRange(maxAngle) {
+        this.rotationSettings.maxAngle = Math.max(0, Math.min(180, Math.abs(maxAngle)));
+        
+        if (DEBUG_MODE) console.log('Rotation range updated: ±' + this.rotationSettings.maxAngle + '°');
+    }
+    
+    setRotationEnabled(enabled) {
+        this.rotationSettings.enabled = !!enabled;
+        if (DEBUG_MODE) console.log('Rotation', this.rotationSettings.enabled ? 'enabled' : 'disabled');
+        this.updateStatus(`Rotation ${this.rotationSettings.enabled ? 'ON' : 'OFF'} (±${this.rotationSettings.maxAngle}°)`);
+    }
+    
+    getRotationInfo() {
+        return {
+            enabled: this.rotationSettings.enabled,
+            maxAngle: this.rotationSettings.maxAngle,
+            range: this.rotationSettings.maxAngle * 2
+        };
+    }
+    
+    // Camera resolution configuration methods
+    setCameraResolution(width, height) {
+        this.cameraSettings.idealWidth = Math.max(320, Math.min(7680, width));
+        this.cameraSettings.idealHeight = Math.max(240, Math.min(4320, height));
+        if (DEBUG_MODE) console.log('Camera resolution preference updated:', {
+            width: this.cameraSettings.idealWidth,
+            height: this.cameraSettings.idealHeight
+        });
+        this.updateStatus(`Camera target: ${this.cameraSettings.idealWidth}x${this.cameraSettings.idealHeight}`);
+    }
+    
+    setCameraResolutionPreset(preset) {
+        const presets = {
+            'VGA': { width: 640, height: 480 },
+            'HD': { width: 1280, height: 720 },
+            'FHD': { width: 1920, height: 1080 },
+            '4K': { width: 3840, height: 2160 },
+            '8K': { width: 7680, height: 4320 }
+        };
+        
+        if (presets[preset]) {
+            this.setCameraResolution(presets[preset].width, presets[preset].height);
+            if (DEBUG_MODE) console.log('Camera resolution preset applied:', preset, presets[preset]);
+        } else {
+            console.warn('Unknown camera resolution preset:', preset);
+        }
+    }
+    
+    async restartCameraWithNewResolution() {
+        try {
+            this.updateStatus('Restarting camera with new resolution...');
+            this.stopCamera(false); // Don't clear canvas when changing resolution
+            await this.startCamera(this.activeDeviceId || this.cameraDeviceId);
+        } catch (error) {
+            console.error('Failed to restart camera:', error);
+            this.showError('Failed to restart camera with new resolution');
+        }
+    }
+    
+    getCurrentCameraInfo() {
+        const videoTrack = this.stream?.getVideoTracks()?.[0];
+        if (!videoTrack) {
+            return { status: 'No camera active' };
+        }
+        
+        const settings = videoTrack.getSettings();
+        const capabilities = videoTrack.getCapabilities?.() || {};
+        
+        return {
+            current: {
+                width: settings.width,
+                height: settings.height,
+                frameRate: settings.frameRate,
+                facingMode: settings.facingMode,
+                deviceId: settings.deviceId,
+                label: videoTrack.label
+            },
+            capabilities: {
+                width: capabilities.width,
+                height: capabilities.height,
+                frameRate: capabilities.frameRate,
+                ...this.getCameraControlCapabilities()
+            },
+            settings: { ...this.cameraSettings },
+            controls: { ...this.cameraControls }
+        };
+    }
+    
+    // Manual controls the running track supports (unsupported ones are left out)
+    getCameraControlCapabilities() {
+        const videoTrack = this.stream?.getVideoTracks()?.[0];
+        const capabilities = videoTrack?.getCapabilities?.() || {};
+        const supported = {};
+        
+        if (capabilities.zoom && capabilities.zoom.max > capabilities.zoom.min) {
+            supported.zoom = capabilities.zoom;
+        }
+        // Chrome reports torch as [false, true], older builds as a boolean
+        if (capabilities.torch === true || capabilities.torch?.includes?.(true)) {
+            supported.torch = true;
+        }
+        if (capabilities.focusDistance && capabilities.focusMode?.includes('manual')) {
+            supported.focusDistance = capabilities.focusDistance;
+        }
+        if (capabilities.exposureCompensation && capabilities.exposureCompensation.max > capabilities.exposureCompensation.min) {
+            supported.exposureCompensation = capabilities.exposureCompensation;
+        }
+        if (capabilities.whiteBalanceMode?.length > 1) {
+            supported.whiteBalanceMode = capabilities.whiteBalanceMode;
+        }
+        
+        return supported;
+    }
+    
+    // Current values of the manual controls as reported by the track
+    getCameraControlSettings() {
+        const settings = this.stream?.getVideoTracks()?.[0]?.getSettings() || {};
+        return {
+            zoom: settings.zoom,
+            torch: settings.torch,
+            focusDistance: settings.focusDistance,
+            focusMode: settings.focusMode,
+            exposureCompensation: settings.exposureCompensation,
+            whiteBalanceMode: settings.whiteBalanceMode
+        };
+    }
+    
+    async setCameraControl(name, value) {
+        if (!(name in this.cameraControls)) {
+            console.warn('Unknown camera control:', name);
+            return false;
+        }
+        
+        this.cameraControls[name] = value;
+        if (DEBUG_MODE) console.log('Camera control updated:', name, value);
+        return this.applyCameraControls();
+    }
+    
+    // Apply the stored controls to the running track, clamped to its capabilities
+    async applyCameraControls() {
+        const videoTrack = this.stream?.getVideoTracks()?.[0];
+        if (!videoTrack?.applyConstraints) return false;
+        
+        const capabilities = videoTrack.getCapabilities?.() || {};
+        const supported = this.getCameraControlCapabilities();
+        const controls = this.cameraControls;
+        const clampToRange = (value, range) => Math.max(range.min, Math.min(range.max, value));
+        const constraint = {};
+        
+        if (supported.zoom && controls.zoom !== null) {
+            constraint.zoom = clampToRange(controls.zoom, supported.zoom);
+        }
+        if (supported.torch) {
+            constraint.torch = controls.torch;
+        }
+        if (supported.focusDistance && controls.focusDistance !== null) {
+            constraint.focusMode = 'manual';
+            constraint.focusDistance = clampToRange(controls.focusDistance, supported.focusDistance);
+        } else if (capabilities.focusMode?.includes('continuous')) {
+            constraint.focusMode = 'continuous';
+        }
+        if (supported.exposureCompensation && controls.exposureCompensation !== null) {
+            constraint.exposureCompensation = clampToRange(controls.exposureCompensation, supported.exposureCompensation);
+        }
+        if (supported.whiteBalanceMode?.includes(controls.whiteBalanceMode)) {
+            constraint.whiteBalanceMode = controls.whiteBalanceMode;
+        }
+        
+        // Exposure lock holds the track at the values read when the reference was taken
+        const lockValues = this.exposureLockSettings.enabled ? this.exposureLock.trackValues : null;
+        if (lockValues && capabilities.exposureMode?.includes('manual')) {
+            constraint.exposureMode = 'manual';
+            if (lockValues.exposureTime !== undefined && capabilities.exposureTime) {
+                constraint.exposureTime = clampToRange(lockValues.exposureTime, capabilities.exposureTime);
+            }
+            if (lockValues.iso !== undefined && capabilities.iso) {
+                constraint.iso = clampToRange(lockValues.iso, capabilities.iso);
+            }
+        } else if (capabilities.exposureMode?.includes('continuous')) {
+            constraint.exposureMode = 'continuous';
+        }
+        if (lockValues && controls.whiteBalanceMode === null && capabilities.whiteBalanceMode?.includes('manual')) {
+            constraint.whiteBalanceMode = 'manual';
+            if (lockValues.colorTemperature !== undefined && capabilities.colorTemperature) {
+                constraint.colorTemperature = clampToRange(lockValues.colorTemperature, capabilities.colorTemperature);
+            }
+        } else if (controls.whiteBalanceMode === null && capabilities.whiteBalanceMode?.includes('continuous')) {
+            constraint.whiteBalanceMode = 'continuous';
+        }
+        if (lockValues && controls.focusDistance === null && lockValues.focusDistance !== undefined &&
+            supported.focusDistance) {
+            constraint.focusMode = 'manual';
+            constraint.focusDistance = clampToRange(lockValues.focusDistance, supported.focusDistance);
+        }
+        
+        this.exposureLock.hardware = { exposure: false, whiteBalance: false };
+        if (Object.keys(constraint).length === 0) return true;
+        
+        try {
+            await videoTrack.applyConstraints({ advanced: [constraint] });
+            // Advanced sets the camera can't meet are dropped silently, so trust only what the track reports
+            const applied = videoTrack.getSettings();
+            this.exposureLock.hardware = {
+                exposure: lockValues !== null && applied.exposureMode === 'manual',
+                whiteBalance: lockValues !== null && applied.whiteBalanceMode === 'manual'
+            };
+            if (DEBUG_MODE) console.log('Camera controls applied:', constraint, this.exposureLock.hardware);
+            return true;
+        } catch (error) {
+            console.warn('Failed to apply camera controls:', error);
+            return false;
+        }
+    }
+    
+    setExposureLockEnabled(enabled) {
+        this.exposureLockSettings.enabled = enabled;
+        this.resetExposureLock();
+        if (DEBUG_MODE) console.log('Exposure lock:', enabled ? 'enabled' : 'disabled');
+    }
+    
+    // Forget the reference so the next piece starts a new one (and release the track)
+    resetExposureLock() {
+        const wasHeld = this.exposureLock.trackValues !== null;
+        this.exposureLock.reference = null;
+        this.exposureLock.trackValues = null;
+        this.exposureLock.hardware = { exposure: false, whiteBalance: false };
+        if (wasHeld || !this.exposureLockSettings.enabled) {
+            this.applyCameraControls();
+        }
+    }
+    
+    // Hold the track at its current exposure, white balance and focus
+    lockTrackExposure() {
+        const settings = this.stream?.getVideoTracks()?.[0]?.getSettings();
+        if (!settings) return;
+        
+        const values = {};
+        ['exposureTime', 'iso', 'colorTemperature', 'focusDistance'].forEach(name => {
+            if (settings[name] !== undefined) values[name] = settings[name];
+        });
+        this.exposureLock.trackValues = values;
+        // Until the track confirms the lock, new pieces get the software correction
+        this.exposureLock.hardware = { exposure: false, whiteBalance: false };
+        
+        this.applyCameraControls().then(() => {
+            const { exposure, whiteBalance } = this.exposureLock.hardware;
+            this.updateStatus(exposure && whiteBalance
+                ? 'Exposure and white balance locked'
+                : 'Exposure lock: matching pieces to the first one');
+        });
+    }
+    
+    // Mean color of a canvas from a sparse sample of its pixels
+    measureMeanColor(canvas) {
+        const ctx = canvas.getContext('2d');
+        const data = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+        const pixelCount = canvas.width * canvas.height;
+        const stride = Math.max(1, Math.floor(pixelCount / this.exposureLockSettings.sampleCount)) * 4;
+        
+        let r = 0;
+        let g = 0;
+        let b = 0;
+        let count = 0;
+        for (let i = 0; i < data.length; i += stride) {
+            if (data[i + 3] === 0) continue;
+            r += data[i];
+            g += data[i + 1];
+            b += data[i + 2];
+            count++;
+        }
+        
+        return count > 0 ? [r / count, g / count, b / count] : null;
+    }
+    
+    // Match a new piece's mean luminance and color to the collage's first piece
+    // Returns the per-channel gain applied (recorded with the capture), or null
+    normalizeExposure(canvas) {
+        // Album pieces all come from one still image, so they already match
+        if (!this.exposureLockSettings.enabled || this.sourceMode !== 'camera') return null;
+        
+        const mean = this.measureMeanColor(canvas);
+        if (!mean) return null;
+        
+        const lock = this.exposureLock;
+        if (!lock.reference) {
+            lock.reference = mean;
+            this.lockTrackExposure();
+            return null;
+        }
+        
+        // The track holds exposure and white balance itself, no correction needed
+        if (lock.hardware.exposure && lock.hardware.whiteBalance) return null;
+        
+        const maxGain = this.exposureLockSettings.maxGain;
+        const gain = mean.map((value, channel) => {
+            const ratio = lock.reference[channel] / Math.max(value, 1);
+            return Math.round(Math.max(1 / maxGain, Math.min(maxGain, ratio)) * 1000) / 1000;
+        });
+        
+        this.applyColorGain(canvas, gain);
+        return gain;
+    }
+    
+    // Scale each color channel of a canvas in place
+    applyColorGain(canvas, gain) {
+        if (!gain) return;
+        
+        const tables = gain.map(channelGain => {
+            const table = new Uint8ClampedArray(256);
+            for (let i = 0; i < 256; i++) {
+                table[i] = i * channelGain;
+            }
+            return table;
+        });
+        
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const data = imageData.data;
+        const [tableR, tableG, tableB] = tables;
+        
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = tableR[data[i]];
+            data[i + 1] = tableG[data[i + 1]];
+            data[i + 2] = tableB[data[i + 2]];
+        }
+        
+        ctx.putImageData(imageData, 0, 0);
+    }
+    
+    // Rendering quality configuration methods
+    setRenderingQuality(quality) {
+        const qualities = {
+            'low': {
+                imageSmoothingEnabled: false,
+                imageSmoothingQuality: 'low'
+            },
+            'medium': {
+                imageSmoothingEnabled: true,
+                imageSmoothingQuality: 'medium'
+            },
+            'high': {
+                imageSmoothingEnabled: true,
+                imageSmoothingQuality: 'high'
+            }
+        };
+        
+        if (qualities[quality]) {
+            Object.assign(this.renderingSettings, qualities[quality]);
+            this.configureCanvasQuality();
+            if (DEBUG_MODE) console.log('Rendering quality set to:', quality, qualities[quality]);
+            this.updateStatus(`Rendering quality: ${quality}`);
+        } else {
+            console.warn('Unknown rendering quality:', quality);
+        }
+    }
+    
+    toggleAntialiasing(enabled) {
+        this.renderingSettings.imageSmoothingEnabled = !!enabled;
+        this.configureCanvasQuality();
+        if (DEBUG_MODE) console.log('Antialiasing', enabled ? 'enabled' : 'disabled');
+        this.updateStatus(`Antialiasing ${enabled ? 'ON' : 'OFF'}`);
+    }
+    
+    getRenderingInfo() {
+        return {
+            ...this.renderingSettings,
+            actualSettings: {
+                imageSmoothingEnabled: this.touchCtx?.imageSmoothingEnabled,
+                imageSmoothingQuality: this.touchCtx?.imageSmoothingQuality || 'default'
+            }
+        };
+    }
+}
+// Application initialization
+document.addEventListener('DOMContentLoaded', async () => {
+    if (DEBUG_MODE) console.log('DOM content loaded');
+    
+    try {
+        // Create camera app instance
+        window.cameraApp = new CameraApp();
+        
+        // Lock screen orientation to portrait (PWA mode)
+        if (window.screen?.orientation?.lock) {
+            try {
+                await window.screen.orientation.lock('portrait-primary');
+                if (DEBUG_MODE) console.log('Screen orientation locked to portrait');
+            } catch (error) {
+                if (DEBUG_MODE) console.log('Screen orientation lock not available:', error.message);
+            }
+        }
+        
+        // Developer console help (only in debug mode)
+        if (DEBUG_MODE) {
+            console.log('%cCamera app started successfully!', 'color: #4CAF50; font-size: 16px; font-weight: bold;');
+            console.log('Keyboard shortcuts: S=Save, C=Clear, F=Fullscreen, Z/Y=Undo/Redo piece (Ctrl+Z/Y = stroke), Space=Freeze frame, H=Pan mode, 0=Reset view, ESC=Exit fullscreen');
+            console.log('Console API: cameraApp.setRotationRange(5), setRotationEnabled(bool), setCaptureSize(w, h), setDynamicSizeLimits({ minScale, maxScale })');
+        }
+        
+    } catch (error) {
+        console.error('Application initialization error:', error);
+    }
+});
+
+// Error handling
+window.addEventListener('error', (e) => {
+    console.error('Global error:', e.error);
+});
+
+window.addEventListener('unhandledrejection', (e) => {
+    console.error('Unhandled promise rejection:', e.reason);
+});
+
+// Modal functionality
+const helpModal = document.getElementById('helpModal');
+const modalCloseBtn = document.getElementById('modalCloseBtn');
+const helpBtn = document.getElementById('helpBtn');
+
+// Function to close help modal with zoom out animation
+function closeHelpModal() {
+    helpModal.classList.add('hide');
+    helpModal.classList.remove('show');
+    
+    // Wait for animation to complete before hiding
+    setTimeout(() => {
+        helpModal.classList.remove('hide');
+        helpModal.style.display = 'none';
+    }, 400); // Match animation duration
+}
+
+// Show help modal when help button is clicked
+helpBtn.addEventListener('click', () => {
+    if (window.cameraApp) {
+        window.cameraApp.playCutSound();
+    }
+    helpModal.style.display = 'flex';
+    helpModal.classList.add('show');
+});
+
+// Show modal on page load - commented out to keep it hidden by default
+// window.addEventListener('load', () => {
+//     helpModal.classList.add('show');
+// });
+
+// Close modal
+modalCloseBtn.addEventListener('click', () => {
+    if (window.cameraApp) {
+        window.cameraApp.playCutSound();
+    }
+    closeHelpModal();
+});
+
+// Close modal when clicking outside content
+helpModal.addEventListener('click', (e) => {
+    if (e.target === helpModal) {
+        closeHelpModal();
+    }
+});
+
+// Settings Modal functionality
+const settingsModal = document.getElementById('settingsModal');
+const settingsCloseBtn = document.getElementById('settingsCloseBtn');
+const saveIconBtn = document.getElementById('saveIconBtn');
+
+// Function to align ImageViewer with Source title and set size to match Source section height
+function alignImageViewer() {
+    const imageViewerContainer = document.querySelector('.image-viewer-container');
+    const imageViewer = document.querySelector('.image-viewer');
+    const firstSettingsSection = document.querySelector('.settings-section');
+    const firstSettingsTitle = document.querySelector('.settings-section .settings-title');
+    
+    if (imageViewerContainer && imageViewer && firstSettingsSection && firstSettingsTitle) {
+        const titleRect = firstSettingsTitle.getBoundingClientRect();
+        const containerRect = document.querySelector('.settings-container').getBoundingClientRect();
+        const sectionRect = firstSettingsSection.getBoundingClientRect();
+        
+        // Align top with title
+        const topOffset = titleRect.top - containerRect.top;
+        imageViewerContainer.style.top = `${topOffset}px`;
+        
+        // Set size to match section height (square)
+        const sectionHeight = sectionRect.height;
+        imageViewer.style.width = `${sectionHeight}px`;
+        imageViewer.style.height = `${sectionHeight}px`;
+    }
+}
+
+// Show settings modal when save button (bottom left) is clicked
+saveIconBtn.addEventListener('click', () => {
+    if (window.cameraApp) {
+        window.cameraApp.playCutSound();
+    }
+    settingsModal.style.display = 'flex';
+    settingsModal.classList.add('show');
+    // The canvas format may have changed by opening or restoring a collage
+    if (window.cameraApp) {
+        updateCanvasFormatSwitch(window.cameraApp.canvasSettings.format);
+    }
+    renderGalleryList();
+    renderCameraDeviceSwitch();
+    renderCameraControls();
+    // Align ImageViewer after modal is displayed
+    setTimeout(alignImageViewer, 50);
+});
+
+// Function to close settings modal with animation
+function closeSettingsModal() {
+    settingsModal.classList.add('hide');
+    settingsModal.classList.remove('show');
+    
+    // Wait for animation to complete before hiding
+    setTimeout(() => {
+        settingsModal.classList.remove('hide');
+        settingsModal.style.display = 'none';
+    }, 300); // Match animation duration
+}
+
+// Show settings modal on page load (temporary for development)
+// Comment out the following lines to hide by default
+// window.addEventListener('load', () => {
+//     settingsModal.style.display = 'flex';
+//     settingsModal.classList.add('show');
+// });
+
+// Close settings modal
+settingsCloseBtn.addEventListener('click', () => {
+    if (window.cameraApp) {
+        window.cameraApp.playCutSound();
+    }
+    closeSettingsModal();
+});
+
+// Close settings modal when clicking outside content
+settingsModal.addEventListener('click', (e) => {
+    if (e.target === settingsModal) {
+        closeSettingsModal();
+    }
+});
+
+// Slide switch functionality for Source (Camera/Album)
+const sourceCameraBtn = document.getElementById('sourceCameraBtn');
+const sourceAlbumBtn = document.getElementById('sourceAlbumBtn');
+let currentSource = 'camera'; // Track current source
+
+if (sourceCameraBtn && sourceAlbumBtn) {
+    sourceCameraBtn.addEventListener('click', function() {
+        if (currentSource !== 'camera') {
+            currentSource = 'camera';
+            sourceCameraBtn.classList.add('active');
+            sourceAlbumBtn.classList.remove('active');
+            
+            // Dispatch custom event
+            const sourceChangeEvent = new CustomEvent('sourcechange', {
+                detail: { source: 'camera' }
+            });
+            document.dispatchEvent(sourceChangeEvent);
+            
+            console.log('Source changed to: camera');
+        }
+    });
+    
+    sourceAlbumBtn.addEventListener('click', function() {
+        if (currentSource !== 'album') {
+            currentSource = 'album';
+            sourceAlbumBtn.classList.add('active');
+            sourceCameraBtn.classList.remove('active');
+            
+            // Dispatch custom event
+            const sourceChangeEvent = new CustomEvent('sourcechange', {
+                detail: { source: 'album' }
+            });
+            document.dispatchEvent(sourceChangeEvent);
+            
+            console.log('Source changed to: album');
+        }
+    });
+}
+
+// Album file input
+const albumFileInput = document.getElementById('albumFileInput');
+
+// Function to update settings UI based on source mode
+function updateSettingsUI(sourceMode, imageDataUrl = null) {
+    const imageViewer = document.getElementById('imageViewer');
+    const imageViewerContainer = document.querySelector('.image-viewer-container');
+    const frontCameraBtn = document.getElementById('frontCameraBtn');
+    const rearCameraBtn = document.getElementById('rearCameraBtn');
+    
+    if (sourceMode === 'album') {
+        // Disable camera toggles
+        if (frontCameraBtn) {
+            frontCameraBtn.disabled = true;
+            frontCameraBtn.style.opacity = '0.5';
+            frontCameraBtn.style.cursor = 'not-allowed';
+        }
+        if (rearCameraBtn) {
+            rearCameraBtn.disabled = true;
+            rearCameraBtn.style.opacity = '0.5';
+            rearCameraBtn.style.cursor = 'not-allowed';
+        }
+        
+        // Show image viewer if image is loaded
+        if (imageDataUrl && imageViewer && imageViewerContainer) {
+            imageViewer.style.backgroundImage = `url(${imageDataUrl})`;
+            imageViewer.style.backgroundSize = 'cover';
+            imageViewer.style.backgroundPosition = 'center';
+            imageViewerContainer.style.display = 'block';
+        }
+    } else {
+        // Enable camera toggles
+        if (frontCameraBtn) {
+            frontCameraBtn.disabled = false;
+            frontCameraBtn.style.opacity = '';
+            frontCameraBtn.style.cursor = '';
+        }
+        if (rearCameraBtn) {
+            rearCameraBtn.disabled = false;
+            rearCameraBtn.style.opacity = '';
+            rearCameraBtn.style.cursor = '';
+        }
+        
+        // Hide image viewer
+        if (imageViewerContainer) {
+            imageViewerContainer.style.display = 'none';
+        }
+    }
+}
+
+// Listen for source change events
+document.addEventListener('sourcechange', async (e) => {
+    console.log('Source change event fired:', e.detail.source);
+    
+    if (window.cameraApp) {
+        if (e.detail.source === 'album') {
+            // Update UI for album mode
+            updateSettingsUI('album');
+            // Trigger file input for album selection
+            albumFileInput.click();
+        } else if (e.detail.source === 'camera') {
+            // Update UI for camera mode
+            updateSettingsUI('camera');
+            // Switch back to camera mode
+            await window.cameraApp.switchToCameraMode();
+        }
+    }
+});
+
+// Handle album file selection
+if (albumFileInput) {
+    albumFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file && window.cameraApp) {
+            console.log('Album file selected:', file.name);
+            
+            // Read file and update image viewer
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                const imageDataUrl = event.target.result;
+                // Update settings UI with image
+                updateSettingsUI('album', imageDataUrl);
+                // Switch to album mode in the app
+                window.cameraApp.switchToAlbumMode(file);
+            };
+            reader.readAsDataURL(file);
+        }
+    });
+}
+
+// Camera Front/Rear switch functionality
+const frontCameraBtn = document.getElementById('frontCameraBtn');
+const rearCameraBtn = document.getElementById('rearCameraBtn');
+let currentCamera = 'rear'; // Track current camera (default is rear)
+
+if (frontCameraBtn && rearCameraBtn) {
+    // Front camera button click
+    frontCameraBtn.addEventListener('click', function() {
+        if (currentCamera !== 'front' || window.cameraApp?.cameraDeviceId) {
+            currentCamera = 'front';
+            frontCameraBtn.classList.add('active');
+            rearCameraBtn.classList.remove('active');
+            
+            // Switch to front camera (user) without clearing canvas
+            if (window.cameraApp) {
+                window.cameraApp.currentFacingMode = 'user';
+                window.cameraApp.cameraDeviceId = null; // Front/Rear replaces a selected lens
+                window.cameraApp.skipCanvasResize = true; // Skip canvas resize to preserve content
+                window.cameraApp.stopCamera(false); // Don't clear canvas
+                window.cameraApp.startCamera();
+            }
+            saveCameraDeviceSetting(null);
+            updateCameraDeviceSwitch();
+            console.log('Switched to front camera');
+        }
+    });
+    
+    // Rear camera button click
+    rearCameraBtn.addEventListener('click', function() {
+        if (currentCamera !== 'rear' || window.cameraApp?.cameraDeviceId) {
+            currentCamera = 'rear';
+            rearCameraBtn.classList.add('active');
+            frontCameraBtn.classList.remove('active');
+            
+            // Switch to rear camera (environment) without clearing canvas
+            if (window.cameraApp) {
+                window.cameraApp.currentFacingMode = 'environment';
+                window.cameraApp.cameraDeviceId = null; // Front/Rear replaces a selected lens
+                window.cameraApp.skipCanvasResize = true; // Skip canvas resize to preserve content
+                window.cameraApp.stopCamera(false); // Don't clear canvas
+                window.cameraApp.startCamera();
+            }
+            saveCameraDeviceSetting(null);
+            updateCameraDeviceSwitch();
+            console.log('Switched to rear camera');
+        }
+    });
+    
+    // Set initial state based on currentFacingMode
+    window.addEventListener('load', () => {
+        if (window.cameraApp) {
+            if (window.cameraApp.currentFacingMode === 'environment') {
+                rearCameraBtn.classList.add('active');
+                frontCameraBtn.classList.remove('active');
+                currentCamera = 'rear';
+            } else {
+                frontCameraBtn.classList.add('active');
+                rearCameraBtn.classList.remove('active');
+                currentCamera = 'front';
+            }
+        }
+        
+        // Initialize settings UI (hide image viewer by default)
+        updateSettingsUI('camera');
+    });
+}
+
+// Camera device picker (ultra-wide, telephoto, external cameras)
+const cameraDeviceSwitch = document.getElementById('cameraDeviceSwitch');
+const switchCamBtn = document.getElementById('switchCamBtn');
+
+// Rebuild the device list (called when the settings modal opens and after changes)
+async function renderCameraDeviceSwitch() {
+    if (!cameraDeviceSwitch || !window.cameraApp) return;
+    
+    let devices;
+    try {
+        devices = await window.cameraApp.listCameraDevices();
+    } catch (error) {
+        console.warn('Camera devices unavailable:', error);
+        return;
+    }
+    
+    cameraDeviceSwitch.innerHTML = '';
+    devices.forEach(device => {
+        const option = document.createElement('button');
+        option.className = 'slide-option';
+        option.dataset.value = device.deviceId;
+        option.textContent = device.label;
+        cameraDeviceSwitch.appendChild(option);
+    });
+    
+    // A single camera leaves nothing to choose
+    cameraDeviceSwitch.style.display = devices.length > 1 ? '' : 'none';
+    updateCameraDeviceSwitch();
+}
+
+function updateCameraDeviceSwitch() {
+    if (!cameraDeviceSwitch || !window.cameraApp) return;
+    
+    const selectedId = window.cameraApp.cameraDeviceId;
+    cameraDeviceSwitch.querySelectorAll('.slide-option').forEach(option => {
+        option.classList.toggle('active', option.dataset.value === selectedId);
+    });
+}
+
+// Load camera device setting from localStorage on page load
+function loadCameraDeviceSetting() {
+    const savedDeviceId = localStorage.getItem('cameraDeviceId');
+    
+    if (savedDeviceId) {
+        window.cameraApp.setCameraDevice(savedDeviceId);
+        if (DEBUG_MODE) console.log('Loaded camera device from localStorage:', savedDeviceId);
+    }
+}
+
+// Save camera device setting to localStorage (null clears the selection)
+function saveCameraDeviceSetting(deviceId) {
+    if (deviceId) {
+        localStorage.setItem('cameraDeviceId', deviceId);
+    } else {
+        localStorage.removeItem('cameraDeviceId');
+    }
+    if (DEBUG_MODE) console.log('Saved camera device to localStorage:', deviceId);
+}
+
+if (cameraDeviceSwitch) {
+    cameraDeviceSwitch.addEventListener('click', async (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
+        
+        const app = window.cameraApp;
+        const selected = await app.setCameraDevice(option.dataset.value);
+        saveCameraDeviceSetting(selected ? app.cameraDeviceId : null);
+        updateCameraDeviceSwitch();
+        
+        // Keep Front/Rear in step with the lens's facing mode
+        if (frontCameraBtn && rearCameraBtn) {
+            currentCamera = app.currentFacingMode === 'user' ? 'front' : 'rear';
+            frontCameraBtn.classList.toggle('active', currentCamera === 'front');
+            rearCameraBtn.classList.toggle('active', currentCamera === 'rear');
+        }
+    });
+}
+
+// The top-bar switch button toggles front/rear, which drops the selected lens
+if (switchCamBtn) {
+    switchCamBtn.addEventListener('click', () => saveCameraDeviceSetting(null));
+}
+
+// Manual camera controls (zoom, torch, focus, exposure, white balance)
+const cameraControlsSection = document.getElementById('cameraControlsSection');
+const zoomSlider = document.getElementById('zoomSlider');
+const zoomValue = document.getElementById('zoomValue');
+const torchToggle = document.getElementById('torchToggle');
+const focusModeSwitch = document.getElementById('focusModeSwitch');
+const focusSlider = document.getElementById('focusSlider');
+const focusValue = document.getElementById('focusValue');
+const exposureSlider = document.getElementById('exposureSlider');
+const exposureValue = document.getElementById('exposureValue');
+const whiteBalanceSwitch = document.getElementById('whiteBalanceSwitch');
+
+const whiteBalanceLabels = {
+    'continuous': 'Auto',
+    'single-shot': 'Once',
+    'manual': 'Locked'
+};
+
+function formatZoom(value) {
+    return `${value.toFixed(1)}x`;
+}
+
+function formatFocus(value) {
+    return `${value.toFixed(2)} m`;
+}
+
+function formatExposure(value) {
+    return `${value > 0 ? '+' : ''}${value.toFixed(1)} EV`;
+}
+
+function configureControlSlider(slider, range, value) {
+    slider.min = range.min;
+    slider.max = range.max;
+    slider.step = range.step || (range.max - range.min) / 100;
+    slider.value = value;
+}
+
+// Show only the controls the current camera supports (called when the settings modal opens)
+function renderCameraControls() {
+    if (!cameraControlsSection || !window.cameraApp) return;
+    
+    const app = window.cameraApp;
+    const supported = app.getCameraControlCapabilities();
+    const current = app.getCameraControlSettings();
+    const controls = app.cameraControls;
+    
+    cameraControlsSection.style.display = Object.keys(supported).length > 0 ? '' : 'none';
+    cameraControlsSection.querySelectorAll('.camera-control').forEach(row => {
+        row.style.display = supported[row.dataset.control] ? '' : 'none';
+    });
+    
+    if (supported.zoom) {
+        const zoom = controls.zoom ?? current.zoom ?? supported.zoom.min;
+        configureControlSlider(zoomSlider, supported.zoom, zoom);
+        zoomValue.textContent = formatZoom(zoom);
+    }
+    
+    if (supported.torch) {
+        torchToggle.checked = controls.torch;
     }
     
-    toggleAntialiasing(enabled) {
-        this.renderingSettings.imageSmoothingEnabled = !!enabled;
-        this.configureCanvasQuality();
-        if (DEBUG_MODE) console.log('Antialiasing', enabled ? 'enabled' : 'disabled');
-        this.updateStatus(`Antialiasing ${enabled ? 'ON' : 'OFF'}`);
+    if (supported.focusDistance) {
+        const focus = controls.focusDistance ?? current.focusDistance ?? supported.focusDistance.min;
+        configureControlSlider(focusSlider, supported.focusDistance, focus);
+        focusValue.textContent = controls.focusDistance === null ? 'Auto' : formatFocus(focus);
+        updateFocusModeSwitch();
     }
     
-    getRenderingInfo() {
-        return {
-            ...this.renderingSettings,
-            actualSettings: {
-                imageSmoothingEnabled: this.touchCtx?.imageSmoothingEnabled,
-                imageSmoothingQuality: this.touchCtx?.imageSmoothingQuality || 'default'
-            }
-        };
+    if (supported.exposureCompensation) {
+        const exposure = controls.exposureCompensation ?? current.exposureCompensation ?? 0;
+        configureControlSlider(exposureSlider, supported.exposureCompensation, exposure);
+        exposureValue.textContent = formatExposure(exposure);
+    }
+    
+    if (supported.whiteBalanceMode) {
+        whiteBalanceSwitch.innerHTML = '';
+        supported.whiteBalanceMode.forEach(mode => {
+            const option = document.createElement('button');
+            option.className = 'slide-option';
+            option.dataset.value = mode;
+            option.textContent = whiteBalanceLabels[mode] || mode;
+            whiteBalanceSwitch.appendChild(option);
+        });
+        updateWhiteBalanceSwitch(controls.whiteBalanceMode ?? current.whiteBalanceMode);
     }
 }
-// Application initialization
-document.addEventListener('DOMContentLoaded', async () => {
-    if (DEBUG_MODE) console.log('DOM content loaded');
+
+function updateFocusModeSwitch() {
+    const mode = window.cameraApp.cameraControls.focusDistance === null ? 'auto' : 'manual';
+    focusModeSwitch.querySelectorAll('.slide-option').forEach(option => {
+        option.classList.toggle('active', option.dataset.value === mode);
+    });
+}
+
+function updateWhiteBalanceSwitch(mode) {
+    whiteBalanceSwitch.querySelectorAll('.slide-option').forEach(option => {
+        option.classList.toggle('active', option.dataset.value === mode);
+    });
+}
+
+if (cameraControlsSection) {
+    zoomSlider.addEventListener('input', () => {
+        const zoom = parseFloat(zoomSlider.value);
+        zoomValue.textContent = formatZoom(zoom);
+        window.cameraApp.setCameraControl('zoom', zoom);
+    });
     
-    try {
-        // Create camera app instance
-        window.cameraApp = new CameraApp();
-        
-        // Lock screen orientation to portrait (PWA mode)
-        if (window.screen?.orientation?.lock) {
-            try {
-                await window.screen.orientation.lock('portrait-primary');
-                if (DEBUG_MODE) console.log('Screen orientation locked to portrait');
-            } catch (error) {
-                if (DEBUG_MODE) console.log('Screen orientation lock not available:', error.message);
-            }
-        }
-        
-        // Developer console help (only in debug mode)
-        if (DEBUG_MODE) {
-            console.log('%cCamera app started successfully!', 'color: #4CAF50; font-size: 16px; font-weight: bold;');
-            console.log('Keyboard shortcuts: S=Save, C=Clear, F=Fullscreen, ESC=Exit fullscreen');
-            console.log('Console API: cameraApp.setRotationRange(5), setRotationEnabled(bool), setCaptureSize(w, h)');
-        }
+    torchToggle.addEventListener('change', () => {
+        window.cameraApp.setCameraControl('torch', torchToggle.checked);
+    });
+    
+    focusModeSwitch.addEventListener('click', (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
+        
+        // Manual starts from the slider position; Auto hands focus back to the camera
+        const focus = option.dataset.value === 'manual' ? parseFloat(focusSlider.value) : null;
+        window.cameraApp.setCameraControl('focusDistance', focus);
+        focusValue.textContent = focus === null ? 'Auto' : formatFocus(focus);
+        updateFocusModeSwitch();
+    });
+    
+    focusSlider.addEventListener('input', () => {
+        const focus = parseFloat(focusSlider.value);
+        focusValue.textContent = formatFocus(focus);
+        window.cameraApp.setCameraControl('focusDistance', focus);
+        updateFocusModeSwitch();
+    });
+    
+    exposureSlider.addEventListener('input', () => {
+        const exposure = parseFloat(exposureSlider.value);
+        exposureValue.textContent = formatExposure(exposure);
+        window.cameraApp.setCameraControl('exposureCompensation', exposure);
+    });
+    
+    whiteBalanceSwitch.addEventListener('click', (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
         
-    } catch (error) {
-        console.error('Application initialization error:', error);
+        window.cameraApp.setCameraControl('whiteBalanceMode', option.dataset.value);
+        updateWhiteBalanceSwitch(option.dataset.value);
+    });
+}
+
+// Sound toggle functionality
+const soundToggle = document.getElementById('soundToggle');
+
+// Load sound setting from localStorage on page load
+function loadSoundSetting() {
+    const savedSoundEnabled = localStorage.getItem('shutterSoundEnabled');
+    
+    if (savedSoundEnabled !== null) {
+        const isEnabled = savedSoundEnabled === 'true';
+        window.cameraApp.shutterSettings.enabled = isEnabled;
+        soundToggle.checked = isEnabled;
+        if (DEBUG_MODE) console.log('Loaded sound setting from localStorage:', isEnabled);
+    } else {
+        // Default is enabled
+        soundToggle.checked = true;
+        window.cameraApp.shutterSettings.enabled = true;
+        localStorage.setItem('shutterSoundEnabled', 'true');
     }
+}
+
+// Save sound setting to localStorage
+function saveSoundSetting(enabled) {
+    localStorage.setItem('shutterSoundEnabled', enabled.toString());
+    if (DEBUG_MODE) console.log('Saved sound setting to localStorage:', enabled);
+}
+
+// Sound toggle change event
+soundToggle.addEventListener('change', function() {
+    const isEnabled = this.checked;
+    window.cameraApp.shutterSettings.enabled = isEnabled;
+    saveSoundSetting(isEnabled);
+    if (DEBUG_MODE) console.log('Shutter sound:', isEnabled ? 'enabled' : 'disabled');
 });
 
-// Error handling
-window.addEventListener('error', (e) => {
-    console.error('Global error:', e.error);
+// Dynamic size toggle functionality
+const dynamicSizeToggle = document.getElementById('dynamicSizeToggle');
+
+// Load dynamic size setting from localStorage on page load
+function loadDynamicSizeSetting() {
+    const isEnabled = localStorage.getItem('dynamicSizeEnabled') === 'true';
+    window.cameraApp.setDynamicSizeEnabled(isEnabled);
+    dynamicSizeToggle.checked = isEnabled;
+    if (DEBUG_MODE) console.log('Loaded dynamic size setting from localStorage:', isEnabled);
+}
+
+// Save dynamic size setting to localStorage
+function saveDynamicSizeSetting(enabled) {
+    localStorage.setItem('dynamicSizeEnabled', enabled.toString());
+    if (DEBUG_MODE) console.log('Saved dynamic size setting to localStorage:', enabled);
+}
+
+// Dynamic size toggle change event
+dynamicSizeToggle.addEventListener('change', function() {
+    window.cameraApp.setDynamicSizeEnabled(this.checked);
+    saveDynamicSizeSetting(this.checked);
 });
 
-window.addEventListener('unhandledrejection', (e) => {
-    console.error('Unhandled promise rejection:', e.reason);
+// Dynamic size range switch functionality
+const dynamicSizeRangeSwitch = document.getElementById('dynamicSizeRangeSwitch');
+
+function updateDynamicSizeRangeSwitch(range) {
+    dynamicSizeRangeSwitch.querySelectorAll('.slide-option').forEach(option => {
+        option.classList.toggle('active', option.dataset.value === range);
+    });
+}
+
+// Load dynamic size range from localStorage on page load
+function loadDynamicSizeRangeSetting() {
+    const savedRange = localStorage.getItem('dynamicSizeRange');
+    
+    if (savedRange !== null) {
+        window.cameraApp.setDynamicSizeRange(savedRange);
+        if (DEBUG_MODE) console.log('Loaded dynamic size range from localStorage:', savedRange);
+    }
+    updateDynamicSizeRangeSwitch(window.cameraApp.dynamicSizeSettings.range);
+}
+
+// Save dynamic size range to localStorage
+function saveDynamicSizeRangeSetting(range) {
+    localStorage.setItem('dynamicSizeRange', range);
+    if (DEBUG_MODE) console.log('Saved dynamic size range to localStorage:', range);
+}
+
+if (dynamicSizeRangeSwitch) {
+    dynamicSizeRangeSwitch.addEventListener('click', (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
+        
+        const range = option.dataset.value;
+        if (window.cameraApp.setDynamicSizeRange(range)) {
+            updateDynamicSizeRangeSwitch(range);
+            saveDynamicSizeRangeSetting(range);
+        }
+    });
+}
+
+// Multi-finger painting toggle functionality
+const multiTouchToggle = document.getElementById('multiTouchToggle');
+
+// Load multi-finger setting from localStorage on page load
+function loadMultiTouchSetting() {
+    const isEnabled = localStorage.getItem('multiTouchEnabled') === 'true';
+    window.cameraApp.setMultiTouchEnabled(isEnabled);
+    multiTouchToggle.checked = isEnabled;
+    if (DEBUG_MODE) console.log('Loaded multi-finger setting from localStorage:', isEnabled);
+}
+
+// Save multi-finger setting to localStorage
+function saveMultiTouchSetting(enabled) {
+    localStorage.setItem('multiTouchEnabled', enabled.toString());
+    if (DEBUG_MODE) console.log('Saved multi-finger setting to localStorage:', enabled);
+}
+
+// Multi-finger toggle change event
+multiTouchToggle.addEventListener('change', function() {
+    window.cameraApp.setMultiTouchEnabled(this.checked);
+    saveMultiTouchSetting(this.checked);
 });
 
-// Modal functionality
-const helpModal = document.getElementById('helpModal');
-const modalCloseBtn = document.getElementById('modalCloseBtn');
-const helpBtn = document.getElementById('helpBtn');
+// Exposure lock toggle functionality
+const exposureLockToggle = document.getElementById('exposureLockToggle');
 
-// Function to close help modal with zoom out animation
-function closeHelpModal() {
-    helpModal.classList.add('hide');
-    helpModal.classList.remove('show');
+// Load exposure lock setting from localStorage on page load
+function loadExposureLockSetting() {
+    const isEnabled = localStorage.getItem('exposureLockEnabled') === 'true';
+    window.cameraApp.setExposureLockEnabled(isEnabled);
+    exposureLockToggle.checked = isEnabled;
+    if (DEBUG_MODE) console.log('Loaded exposure lock setting from localStorage:', isEnabled);
+}
+
+// Save exposure lock setting to localStorage
+function saveExposureLockSetting(enabled) {
+    localStorage.setItem('exposureLockEnabled', enabled.toString());
+    if (DEBUG_MODE) console.log('Saved exposure lock setting to localStorage:', enabled);
+}
+
+// Exposure lock toggle change event
+exposureLockToggle.addEventListener('change', function() {
+    window.cameraApp.setExposureLockEnabled(this.checked);
+    saveExposureLockSetting(this.checked);
+});
+
+// Metadata toggle functionality
+const metadataToggle = document.getElementById('metadataToggle');
+
+// Load metadata setting from localStorage on page load
+function loadMetadataSetting() {
+    const savedMetadataEnabled = localStorage.getItem('metadataEnabled');
     
-    // Wait for animation to complete before hiding
-    setTimeout(() => {
-        helpModal.classList.remove('hide');
-        helpModal.style.display = 'none';
-    }, 400); // Match animation duration
+    // Default is enabled
+    const isEnabled = savedMetadataEnabled !== 'false';
+    window.cameraApp.metadataSettings.enabled = isEnabled;
+    metadataToggle.checked = isEnabled;
+    if (DEBUG_MODE) console.log('Loaded metadata setting from localStorage:', isEnabled);
 }
 
-// Show help modal when help button is clicked
-helpBtn.addEventListener('click', () => {
-    if (window.cameraApp) {
-        window.cameraApp.playCutSound();
-    }
-    helpModal.style.display = 'flex';
-    helpModal.classList.add('show');
+// Save metadata setting to localStorage
+function saveMetadataSetting(enabled) {
+    localStorage.setItem('metadataEnabled', enabled.toString());
+    if (DEBUG_MODE) console.log('Saved metadata setting to localStorage:', enabled);
+}
+
+// Metadata toggle change event
+metadataToggle.addEventListener('change', function() {
+    const isEnabled = this.checked;
+    window.cameraApp.metadataSettings.enabled = isEnabled;
+    saveMetadataSetting(isEnabled);
+    if (DEBUG_MODE) console.log('Metadata embedding:', isEnabled ? 'enabled' : 'disabled');
 });
 
-// Show modal on page load - commented out to keep it hidden by default
-// window.addEventListener('load', () => {
-//     helpModal.classList.add('show');
-// });
+// Shake to Erase toggle functionality
+const shakeToggle = document.getElementById('shakeToggle');
 
-// Close modal
-modalCloseBtn.addEventListener('click', () => {
-    if (window.cameraApp) {
-        window.cameraApp.playCutSound();
+// Load shake setting from localStorage on page load
+function loadShakeSetting() {
+    const savedShakeEnabled = localStorage.getItem('shakeToEraseEnabled');
+    
+    if (savedShakeEnabled === 'true') {
+        // If was enabled before, check if permission is already granted
+        if (window.cameraApp.shakeSettings.permissionGranted) {
+            shakeToggle.checked = true;
+            window.cameraApp.enableShakeFeature();
+            if (DEBUG_MODE) console.log('Loaded shake setting from localStorage: enabled');
+        } else {
+            // Permission not granted yet, keep toggle off
+            shakeToggle.checked = false;
+            if (DEBUG_MODE) console.log('Shake was enabled but permission not granted');
+        }
+    } else {
+        // Default is disabled
+        shakeToggle.checked = false;
+        if (DEBUG_MODE) console.log('Shake to erase: disabled (default)');
     }
-    closeHelpModal();
-});
+}
 
-// Close modal when clicking outside content
-helpModal.addEventListener('click', (e) => {
-    if (e.target === helpModal) {
-        closeHelpModal();
+// Save shake setting to localStorage
+function saveShakeSetting(enabled) {
+    localStorage.setItem('shakeToEraseEnabled', enabled.toString());
+    if (DEBUG_MODE) console.log('Saved shake setting to localStorage:', enabled);
+}
+
+// Shake toggle change event
+shakeToggle.addEventListener('change', async function() {
+    const wantsEnabled = this.checked;
+    
+    if (wantsEnabled) {
+        // User wants to enable shake
+        if (window.cameraApp.shakeSettings.permissionGranted) {
+            // Permission already granted, just enable
+            window.cameraApp.enableShakeFeature();
+            saveShakeSetting(true);
+            if (DEBUG_MODE) console.log('Shake to erase enabled');
+        } else {
+            // Need to request permission
+            const granted = await window.cameraApp.requestShakePermission();
+            
+            if (granted) {
+                window.cameraApp.enableShakeFeature();
+                saveShakeSetting(true);
+                if (DEBUG_MODE) console.log('Shake permission granted and feature enabled');
+            } else {
+                // Permission denied - revert toggle to off
+                this.checked = false;
+                if (DEBUG_MODE) console.log('Shake permission denied - toggle reverted');
+            }
+        }
+    } else {
+        // User wants to disable shake
+        window.cameraApp.disableShakeFeature();
+        saveShakeSetting(false);
+        if (DEBUG_MODE) console.log('Shake to erase disabled');
     }
 });
 
-// Settings Modal functionality
-const settingsModal = document.getElementById('settingsModal');
-const settingsCloseBtn = document.getElementById('settingsCloseBtn');
-const saveIconBtn = document.getElementById('saveIconBtn');
+// Panorama toggle functionality
+const panoramaToggle = document.getElementById('panoramaToggle');
 
-// Function to align ImageViewer with Source title and set size to match Source section height
-function alignImageViewer() {
-    const imageViewerContainer = document.querySelector('.image-viewer-container');
-    const imageViewer = document.querySelector('.image-viewer');
-    const firstSettingsSection = document.querySelector('.settings-section');
-    const firstSettingsTitle = document.querySelector('.settings-section .settings-title');
+// Load panorama setting from localStorage on page load
+function loadPanoramaSetting() {
+    const savedPanoramaEnabled = localStorage.getItem('panoramaEnabled');
     
-    if (imageViewerContainer && imageViewer && firstSettingsSection && firstSettingsTitle) {
-        const titleRect = firstSettingsTitle.getBoundingClientRect();
-        const containerRect = document.querySelector('.settings-container').getBoundingClientRect();
-        const sectionRect = firstSettingsSection.getBoundingClientRect();
-        
-        // Align top with title
-        const topOffset = titleRect.top - containerRect.top;
-        imageViewerContainer.style.top = `${topOffset}px`;
-        
-        // Set size to match section height (square)
-        const sectionHeight = sectionRect.height;
-        imageViewer.style.width = `${sectionHeight}px`;
-        imageViewer.style.height = `${sectionHeight}px`;
+    if (savedPanoramaEnabled === 'true' && window.cameraApp.panoramaSettings.permissionGranted) {
+        panoramaToggle.checked = true;
+        window.cameraApp.enablePanoramaMode();
+        if (DEBUG_MODE) console.log('Loaded panorama setting from localStorage: enabled');
+    } else {
+        // Default is disabled (or permission must be requested again by the toggle)
+        panoramaToggle.checked = false;
+        if (DEBUG_MODE) console.log('Panorama mode: disabled');
     }
 }
 
-// Show settings modal when save button (bottom left) is clicked
-saveIconBtn.addEventListener('click', () => {
-    if (window.cameraApp) {
-        window.cameraApp.playCutSound();
+// Save panorama setting to localStorage
+function savePanoramaSetting(enabled) {
+    localStorage.setItem('panoramaEnabled', enabled.toString());
+    if (DEBUG_MODE) console.log('Saved panorama setting to localStorage:', enabled);
+}
+
+// Panorama toggle change event - same permission flow as shake to erase
+panoramaToggle.addEventListener('change', async function() {
+    if (this.checked) {
+        const granted = window.cameraApp.panoramaSettings.permissionGranted ||
+            await window.cameraApp.requestOrientationPermission();
+        
+        if (granted) {
+            window.cameraApp.enablePanoramaMode();
+            savePanoramaSetting(true);
+        } else {
+            // Permission denied - revert toggle to off
+            this.checked = false;
+            if (DEBUG_MODE) console.log('Orientation permission denied - toggle reverted');
+        }
+    } else {
+        window.cameraApp.disablePanoramaMode();
+        savePanoramaSetting(false);
     }
-    settingsModal.style.display = 'flex';
-    settingsModal.classList.add('show');
-    // Align ImageViewer after modal is displayed
-    setTimeout(alignImageViewer, 50);
 });
 
-// Function to close settings modal with animation
-function closeSettingsModal() {
-    settingsModal.classList.add('hide');
-    settingsModal.classList.remove('show');
+// Canvas format switch functionality
+const canvasFormatSwitch = document.getElementById('canvasFormatSwitch');
+
+function updateCanvasFormatSwitch(format) {
+    canvasFormatSwitch.querySelectorAll('.slide-option').forEach(option => {
+        option.classList.toggle('active', option.dataset.value === format);
+    });
+}
+
+// Load canvas format setting from localStorage on page load
+function loadCanvasFormatSetting() {
+    const savedCanvasFormat = localStorage.getItem('canvasFormat');
     
-    // Wait for animation to complete before hiding
-    setTimeout(() => {
-        settingsModal.classList.remove('hide');
-        settingsModal.style.display = 'none';
-    }, 300); // Match animation duration
+    if (savedCanvasFormat !== null && savedCanvasFormat !== 'DEVICE') {
+        window.cameraApp.setCanvasPreset(savedCanvasFormat);
+        if (DEBUG_MODE) console.log('Loaded canvas format from localStorage:', savedCanvasFormat);
+    }
+    updateCanvasFormatSwitch(window.cameraApp.canvasSettings.format);
 }
 
-// Show settings modal on page load (temporary for development)
-// Comment out the following lines to hide by default
-// window.addEventListener('load', () => {
-//     settingsModal.style.display = 'flex';
-//     settingsModal.classList.add('show');
-// });
+// Save canvas format setting to localStorage
+function saveCanvasFormatSetting(format) {
+    localStorage.setItem('canvasFormat', format);
+    if (DEBUG_MODE) console.log('Saved canvas format to localStorage:', format);
+}
 
-// Close settings modal
-settingsCloseBtn.addEventListener('click', () => {
-    if (window.cameraApp) {
-        window.cameraApp.playCutSound();
-    }
-    closeSettingsModal();
-});
+if (canvasFormatSwitch) {
+    canvasFormatSwitch.addEventListener('click', (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
+        
+        const format = option.dataset.value;
+        if (window.cameraApp.setCanvasPreset(format)) {
+            updateCanvasFormatSwitch(format);
+            saveCanvasFormatSetting(format);
+        }
+    });
+}
 
-// Close settings modal when clicking outside content
-settingsModal.addEventListener('click', (e) => {
-    if (e.target === settingsModal) {
-        closeSettingsModal();
+// Frame style switch functionality
+const frameStyleSwitch = document.getElementById('frameStyleSwitch');
+
+function updateFrameStyleSwitch(style) {
+    frameStyleSwitch.querySelectorAll('.slide-option').forEach(option => {
+        option.classList.toggle('active', option.dataset.value === style);
+    });
+}
+
+// Load frame style setting from localStorage on page load
+function loadFrameStyleSetting() {
+    const savedFrameStyle = localStorage.getItem('frameStyle');
+    
+    if (savedFrameStyle !== null) {
+        window.cameraApp.setFrameStyle(savedFrameStyle);
+        if (DEBUG_MODE) console.log('Loaded frame style from localStorage:', savedFrameStyle);
     }
-});
+    updateFrameStyleSwitch(window.cameraApp.frameSettings.style);
+}
 
-// Slide switch functionality for Source (Camera/Album)
-const sourceCameraBtn = document.getElementById('sourceCameraBtn');
-const sourceAlbumBtn = document.getElementById('sourceAlbumBtn');
-let currentSource = 'camera'; // Track current source
+// Save frame style setting to localStorage
+function saveFrameStyleSetting(style) {
+    localStorage.setItem('frameStyle', style);
+    if (DEBUG_MODE) console.log('Saved frame style to localStorage:', style);
+}
 
-if (sourceCameraBtn && sourceAlbumBtn) {
-    sourceCameraBtn.addEventListener('click', function() {
-        if (currentSource !== 'camera') {
-            currentSource = 'camera';
-            sourceCameraBtn.classList.add('active');
-            sourceAlbumBtn.classList.remove('active');
-            
-            // Dispatch custom event
-            const sourceChangeEvent = new CustomEvent('sourcechange', {
-                detail: { source: 'camera' }
-            });
-            document.dispatchEvent(sourceChangeEvent);
-            
-            console.log('Source changed to: camera');
+if (frameStyleSwitch) {
+    frameStyleSwitch.addEventListener('click', (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
+        
+        const style = option.dataset.value;
+        if (window.cameraApp.setFrameStyle(style)) {
+            updateFrameStyleSwitch(style);
+            saveFrameStyleSetting(style);
         }
     });
+}
+
+// Piece shape switch functionality
+const pieceShapeSwitch = document.getElementById('pieceShapeSwitch');
+const lassoPad = document.getElementById('lassoPad');
+
+function updatePieceShapeSwitch(shape) {
+    pieceShapeSwitch.querySelectorAll('.slide-option').forEach(option => {
+        option.classList.toggle('active', option.dataset.value === shape);
+    });
+    lassoPad.classList.toggle('show', shape === 'lasso');
+    drawLassoPad(window.cameraApp.shapeSettings.lassoPoints);
+}
+
+// Draw the lasso mask on the pad (points are normalized to -0.5..0.5)
+function drawLassoPad(points, closed = true) {
+    const ctx = lassoPad.getContext('2d');
+    const size = lassoPad.width;
+    ctx.clearRect(0, 0, size, size);
+    if (!points || points.length < 2) return;
     
-    sourceAlbumBtn.addEventListener('click', function() {
-        if (currentSource !== 'album') {
-            currentSource = 'album';
-            sourceAlbumBtn.classList.add('active');
-            sourceCameraBtn.classList.remove('active');
-            
-            // Dispatch custom event
-            const sourceChangeEvent = new CustomEvent('sourcechange', {
-                detail: { source: 'album' }
-            });
-            document.dispatchEvent(sourceChangeEvent);
-            
-            console.log('Source changed to: album');
+    ctx.beginPath();
+    points.forEach(([x, y], index) => {
+        if (index === 0) {
+            ctx.moveTo((x + 0.5) * size, (y + 0.5) * size);
+        } else {
+            ctx.lineTo((x + 0.5) * size, (y + 0.5) * size);
         }
     });
+    if (closed) {
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.fill();
+    }
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 4;
+    ctx.stroke();
 }
 
-// Album file input
-const albumFileInput = document.getElementById('albumFileInput');
-
-// Function to update settings UI based on source mode
-function updateSettingsUI(sourceMode, imageDataUrl = null) {
-    const imageViewer = document.getElementById('imageViewer');
-    const imageViewerContainer = document.querySelector('.image-viewer-container');
-    const frontCameraBtn = document.getElementById('frontCameraBtn');
-    const rearCameraBtn = document.getElementById('rearCameraBtn');
+// Load piece shape setting from localStorage on page load
+function loadPieceShapeSetting() {
+    const savedPieceShape = localStorage.getItem('pieceShape');
+    const savedLassoPoints = localStorage.getItem('lassoPoints');
     
-    if (sourceMode === 'album') {
-        // Disable camera toggles
-        if (frontCameraBtn) {
-            frontCameraBtn.disabled = true;
-            frontCameraBtn.style.opacity = '0.5';
-            frontCameraBtn.style.cursor = 'not-allowed';
+    if (savedLassoPoints !== null) {
+        try {
+            window.cameraApp.setLassoPoints(JSON.parse(savedLassoPoints));
+        } catch (error) {
+            console.warn('Invalid saved lasso mask:', error);
         }
-        if (rearCameraBtn) {
-            rearCameraBtn.disabled = true;
-            rearCameraBtn.style.opacity = '0.5';
-            rearCameraBtn.style.cursor = 'not-allowed';
+    }
+    if (savedPieceShape !== null) {
+        window.cameraApp.setPieceShape(savedPieceShape);
+        if (DEBUG_MODE) console.log('Loaded piece shape from localStorage:', savedPieceShape);
+    }
+    updatePieceShapeSwitch(window.cameraApp.shapeSettings.shape);
+}
+
+// Save piece shape setting to localStorage
+function savePieceShapeSetting(shape) {
+    localStorage.setItem('pieceShape', shape);
+    if (DEBUG_MODE) console.log('Saved piece shape to localStorage:', shape);
+}
+
+if (pieceShapeSwitch) {
+    pieceShapeSwitch.addEventListener('click', (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
+        
+        const shape = option.dataset.value;
+        if (window.cameraApp.setPieceShape(shape)) {
+            updatePieceShapeSwitch(shape);
+            savePieceShapeSetting(shape);
         }
+    });
+}
+
+// Lasso pad drawing - one freehand stroke defines the mask
+if (lassoPad) {
+    let lassoStroke = null;
+    
+    const getPadPoint = (e) => {
+        const rect = lassoPad.getBoundingClientRect();
+        return [
+            Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) - 0.5,
+            Math.max(0, Math.min(1, (e.clientY - rect.top) / rect.height)) - 0.5
+        ];
+    };
+    
+    lassoPad.addEventListener('pointerdown', (e) => {
+        lassoPad.setPointerCapture(e.pointerId);
+        lassoStroke = [getPadPoint(e)];
+    });
+    
+    lassoPad.addEventListener('pointermove', (e) => {
+        if (!lassoStroke) return;
+        lassoStroke.push(getPadPoint(e));
+        drawLassoPad(lassoStroke, false);
+    });
+    
+    const finishLasso = () => {
+        if (!lassoStroke) return;
         
-        // Show image viewer if image is loaded
-        if (imageDataUrl && imageViewer && imageViewerContainer) {
-            imageViewer.style.backgroundImage = `url(${imageDataUrl})`;
-            imageViewer.style.backgroundSize = 'cover';
-            imageViewer.style.backgroundPosition = 'center';
-            imageViewerContainer.style.display = 'block';
+        // Keep at most 64 points - the mask is stored with every piece
+        const step = Math.max(1, Math.ceil(lassoStroke.length / 64));
+        const points = lassoStroke.filter((point, index) => index % step === 0);
+        lassoStroke = null;
+        
+        if (window.cameraApp.setLassoPoints(points)) {
+            localStorage.setItem('lassoPoints', JSON.stringify(points));
+            if (DEBUG_MODE) console.log('Lasso mask saved:', points.length, 'points');
         }
-    } else {
-        // Enable camera toggles
-        if (frontCameraBtn) {
-            frontCameraBtn.disabled = false;
-            frontCameraBtn.style.opacity = '';
-            frontCameraBtn.style.cursor = '';
+        drawLassoPad(window.cameraApp.shapeSettings.lassoPoints);
+    };
+    
+    lassoPad.addEventListener('pointerup', finishLasso);
+    lassoPad.addEventListener('pointercancel', finishLasso);
+}
+
+// Look switch functionality
+const lookSwitch = document.getElementById('lookSwitch');
+
+function updateLookSwitch(look) {
+    lookSwitch.querySelectorAll('.slide-option').forEach(option => {
+        option.classList.toggle('active', option.dataset.value === look);
+    });
+}
+
+// Load look setting from localStorage on page load
+function loadLookSetting() {
+    const savedLook = localStorage.getItem('pieceLook');
+    
+    if (savedLook !== null) {
+        window.cameraApp.setLook(savedLook);
+        if (DEBUG_MODE) console.log('Loaded look from localStorage:', savedLook);
+    }
+    updateLookSwitch(window.cameraApp.lookSettings.look);
+}
+
+// Save look setting to localStorage
+function saveLookSetting(look) {
+    localStorage.setItem('pieceLook', look);
+    if (DEBUG_MODE) console.log('Saved look to localStorage:', look);
+}
+
+if (lookSwitch) {
+    lookSwitch.addEventListener('click', (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
+        
+        const look = option.dataset.value;
+        if (window.cameraApp.setLook(look)) {
+            updateLookSwitch(look);
+            saveLookSetting(look);
         }
-        if (rearCameraBtn) {
-            rearCameraBtn.disabled = false;
-            rearCameraBtn.style.opacity = '';
-            rearCameraBtn.style.cursor = '';
+    });
+}
+
+// Blend mode and piece opacity switch functionality
+const blendModeSwitch = document.getElementById('blendModeSwitch');
+const pieceOpacitySwitch = document.getElementById('pieceOpacitySwitch');
+
+function updateBlendSwitches() {
+    const settings = window.cameraApp.blendSettings;
+    blendModeSwitch.querySelectorAll('.slide-option').forEach(option => {
+        option.classList.toggle('active', option.dataset.value === settings.mode);
+    });
+    pieceOpacitySwitch.querySelectorAll('.slide-option').forEach(option => {
+        option.classList.toggle('active', Number(option.dataset.value) === settings.opacity);
+    });
+}
+
+// Load blend settings from localStorage on page load
+function loadBlendSetting() {
+    const savedBlendMode = localStorage.getItem('blendMode');
+    const savedPieceOpacity = localStorage.getItem('pieceOpacity');
+    
+    if (savedBlendMode !== null) {
+        window.cameraApp.setBlendMode(savedBlendMode);
+    }
+    if (savedPieceOpacity !== null) {
+        window.cameraApp.setPieceOpacity(savedPieceOpacity);
+    }
+    if (DEBUG_MODE) console.log('Loaded blend settings from localStorage:', { savedBlendMode, savedPieceOpacity });
+    updateBlendSwitches();
+}
+
+// Save blend settings to localStorage
+function saveBlendSetting() {
+    const settings = window.cameraApp.blendSettings;
+    localStorage.setItem('blendMode', settings.mode);
+    localStorage.setItem('pieceOpacity', String(settings.opacity));
+    if (DEBUG_MODE) console.log('Saved blend settings to localStorage:', settings);
+}
+
+if (blendModeSwitch) {
+    blendModeSwitch.addEventListener('click', (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
+        
+        if (window.cameraApp.setBlendMode(option.dataset.value)) {
+            updateBlendSwitches();
+            saveBlendSetting();
         }
+    });
+}
+
+if (pieceOpacitySwitch) {
+    pieceOpacitySwitch.addEventListener('click', (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
+        
+        window.cameraApp.setPieceOpacity(option.dataset.value);
+        updateBlendSwitches();
+        saveBlendSetting();
+    });
+}
+
+// Time offset switch functionality
+const timeOffsetSwitch = document.getElementById('timeOffsetSwitch');
+
+function updateTimeOffsetSwitch(mode) {
+    timeOffsetSwitch.querySelectorAll('.slide-option').forEach(option => {
+        option.classList.toggle('active', option.dataset.value === mode);
+    });
+}
+
+// Load time offset setting from localStorage on page load
+function loadTimeOffsetSetting() {
+    const savedMode = localStorage.getItem('timeOffsetMode');
+    
+    if (savedMode !== null) {
+        window.cameraApp.setTimeOffsetMode(savedMode);
+        if (DEBUG_MODE) console.log('Loaded time offset mode from localStorage:', savedMode);
+    }
+    updateTimeOffsetSwitch(window.cameraApp.timeOffsetSettings.mode);
+}
+
+// Save time offset setting to localStorage
+function saveTimeOffsetSetting(mode) {
+    localStorage.setItem('timeOffsetMode', mode);
+    if (DEBUG_MODE) console.log('Saved time offset mode to localStorage:', mode);
+}
+
+if (timeOffsetSwitch) {
+    timeOffsetSwitch.addEventListener('click', (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
         
-        // Hide image viewer
-        if (imageViewerContainer) {
-            imageViewerContainer.style.display = 'none';
+        const mode = option.dataset.value;
+        if (window.cameraApp.setTimeOffsetMode(mode)) {
+            updateTimeOffsetSwitch(mode);
+            saveTimeOffsetSetting(mode);
+        }
+    });
+}
+
+// Export size switch functionality
+const exportSizeSwitch = document.getElementById('exportSizeSwitch');
+
+function updateExportSizeSwitch(size) {
+    exportSizeSwitch.querySelectorAll('.slide-option').forEach(option => {
+        option.classList.toggle('active', option.dataset.value === size);
+    });
+}
+
+// Load export size setting from localStorage on page load
+function loadExportSizeSetting() {
+    const savedExportSize = localStorage.getItem('exportSize');
+    
+    if (savedExportSize !== null) {
+        window.cameraApp.exportSettings.size = savedExportSize;
+        if (DEBUG_MODE) console.log('Loaded export size from localStorage:', savedExportSize);
+    }
+    updateExportSizeSwitch(window.cameraApp.exportSettings.size);
+}
+
+// Save export size setting to localStorage
+function saveExportSizeSetting(size) {
+    localStorage.setItem('exportSize', size);
+    if (DEBUG_MODE) console.log('Saved export size to localStorage:', size);
+}
+
+if (exportSizeSwitch) {
+    exportSizeSwitch.addEventListener('click', (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
+        
+        const size = option.dataset.value;
+        window.cameraApp.setExportSize(size);
+        updateExportSizeSwitch(size);
+        saveExportSizeSetting(size);
+    });
+}
+
+// Export format, quality and background switches
+const exportOptionSwitches = {
+    format: { element: document.getElementById('exportFormatSwitch'), storageKey: 'exportFormat', parse: String },
+    quality: { element: document.getElementById('exportQualitySwitch'), storageKey: 'exportQuality', parse: Number },
+    background: { element: document.getElementById('exportBackgroundSwitch'), storageKey: 'exportBackground', parse: String },
+    extent: { element: document.getElementById('exportExtentSwitch'), storageKey: 'exportExtent', parse: String }
+};
+
+function updateExportOptionSwitches() {
+    Object.entries(exportOptionSwitches).forEach(([key, { element, parse }]) => {
+        element.querySelectorAll('.slide-option').forEach(option => {
+            option.classList.toggle('active', parse(option.dataset.value) === window.cameraApp.exportSettings[key]);
+        });
+    });
+}
+
+// Load export options from localStorage on page load
+function loadExportOptionSettings() {
+    Object.entries(exportOptionSwitches).forEach(([key, { storageKey, parse }]) => {
+        const savedValue = localStorage.getItem(storageKey);
+        if (savedValue !== null) {
+            window.cameraApp.exportSettings[key] = parse(savedValue);
+            if (DEBUG_MODE) console.log(`Loaded ${storageKey} from localStorage:`, savedValue);
         }
+    });
+    updateExportOptionSwitches();
+}
+
+// Save an export option to localStorage
+function saveExportOptionSetting(key) {
+    const { storageKey } = exportOptionSwitches[key];
+    localStorage.setItem(storageKey, String(window.cameraApp.exportSettings[key]));
+    if (DEBUG_MODE) console.log(`Saved ${storageKey} to localStorage:`, window.cameraApp.exportSettings[key]);
+}
+
+Object.entries(exportOptionSwitches).forEach(([key, { element, parse }]) => {
+    if (!element) return;
+    element.addEventListener('click', (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
+        
+        window.cameraApp.exportSettings[key] = parse(option.dataset.value);
+        updateExportOptionSwitches();
+        saveExportOptionSetting(key);
+    });
+});
+
+// Gallery functionality
+const gallerySaveBtn = document.getElementById('gallerySaveBtn');
+const galleryList = document.getElementById('galleryList');
+let galleryThumbnailUrls = [];
+
+// Rebuild the gallery list (called when the settings modal opens and after changes)
+async function renderGalleryList() {
+    if (!galleryList || !window.cameraApp) return;
+    
+    let entries;
+    try {
+        entries = await window.cameraApp.listGallery();
+    } catch (error) {
+        console.warn('Gallery unavailable:', error);
+        return;
     }
+    
+    galleryThumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+    galleryThumbnailUrls = [];
+    galleryList.innerHTML = '';
+    
+    entries.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'gallery-item';
+        item.dataset.id = entry.id;
+        item.classList.toggle('current', entry.id === window.cameraApp.gallery.currentId);
+        
+        const thumbnail = document.createElement('img');
+        thumbnail.className = 'gallery-thumb';
+        thumbnail.alt = entry.title;
+        thumbnail.dataset.action = 'open';
+        if (entry.thumbnail) {
+            const url = URL.createObjectURL(entry.thumbnail);
+            galleryThumbnailUrls.push(url);
+            thumbnail.src = url;
+        }
+        
+        const info = document.createElement('div');
+        info.className = 'gallery-info';
+        info.textContent = `${new Date(entry.updatedAt).toLocaleDateString()} · ${entry.pieceCount} pieces`;
+        
+        const actions = document.createElement('div');
+        actions.className = 'gallery-actions';
+        [['open', 'Open'], ['duplicate', 'Copy'], ['export', 'Export'], ['delete', 'Delete']].forEach(([action, label]) => {
+            const button = document.createElement('button');
+            button.dataset.action = action;
+            button.textContent = label;
+            actions.appendChild(button);
+        });
+        
+        item.append(thumbnail, info, actions);
+        galleryList.appendChild(item);
+    });
 }
 
-// Listen for source change events
-document.addEventListener('sourcechange', async (e) => {
-    console.log('Source change event fired:', e.detail.source);
-    
-    if (window.cameraApp) {
-        if (e.detail.source === 'album') {
-            // Update UI for album mode
-            updateSettingsUI('album');
-            // Trigger file input for album selection
-            albumFileInput.click();
-        } else if (e.detail.source === 'camera') {
-            // Update UI for camera mode
-            updateSettingsUI('camera');
-            // Switch back to camera mode
-            await window.cameraApp.switchToCameraMode();
+// Ask before replacing unsaved work on the canvas
+function confirmDiscardCollage() {
+    const app = window.cameraApp;
+    if (!app.gallery.dirty || app.getPieceCount() === 0) return true;
+    return confirm('Discard unsaved changes on the canvas?');
+}
+
+if (gallerySaveBtn) {
+    gallerySaveBtn.addEventListener('click', async () => {
+        window.cameraApp.playCutSound();
+        if (await window.cameraApp.saveToGallery()) {
+            renderGalleryList();
         }
-    }
-});
+    });
+}
 
-// Handle album file selection
-if (albumFileInput) {
-    albumFileInput.addEventListener('change', (e) => {
-        const file = e.target.files[0];
-        if (file && window.cameraApp) {
-            console.log('Album file selected:', file.name);
-            
-            // Read file and update image viewer
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                const imageDataUrl = event.target.result;
-                // Update settings UI with image
-                updateSettingsUI('album', imageDataUrl);
-                // Switch to album mode in the app
-                window.cameraApp.switchToAlbumMode(file);
-            };
-            reader.readAsDataURL(file);
+if (galleryList) {
+    galleryList.addEventListener('click', async (e) => {
+        const target = e.target.closest('[data-action]');
+        const item = e.target.closest('.gallery-item');
+        if (!target || !item) return;
+        
+        const app = window.cameraApp;
+        const id = item.dataset.id;
+        
+        switch (target.dataset.action) {
+            case 'open':
+                if (!confirmDiscardCollage()) return;
+                if (await app.openGalleryCollage(id)) {
+                    updateCanvasFormatSwitch(app.canvasSettings.format);
+                    saveCanvasFormatSetting(app.canvasSettings.format);
+                    closeSettingsModal();
+                }
+                break;
+            case 'duplicate':
+                if (await app.duplicateGalleryCollage(id)) {
+                    renderGalleryList();
+                }
+                break;
+            case 'export':
+                app.exportGalleryCollage(id);
+                break;
+            case 'delete':
+                if (!confirm('Delete this collage from the gallery?')) return;
+                if (await app.deleteGalleryCollage(id)) {
+                    renderGalleryList();
+                }
+                break;
         }
     });
 }
 
-// Camera Front/Rear switch functionality
-const frontCameraBtn = document.getElementById('frontCameraBtn');
-const rearCameraBtn = document.getElementById('rearCameraBtn');
-let currentCamera = 'rear'; // Track current camera (default is rear)
+// Capture recording export and replay
+const recordingExportBtn = document.getElementById('recordingExportBtn');
+const recordingReplayBtn = document.getElementById('recordingReplayBtn');
+const recordingFileInput = document.getElementById('recordingFileInput');
 
-if (frontCameraBtn && rearCameraBtn) {
-    // Front camera button click
-    frontCameraBtn.addEventListener('click', function() {
-        if (currentCamera !== 'front') {
-            currentCamera = 'front';
-            frontCameraBtn.classList.add('active');
-            rearCameraBtn.classList.remove('active');
-            
-            // Switch to front camera (user) without clearing canvas
-            if (window.cameraApp) {
-                window.cameraApp.currentFacingMode = 'user';
-                window.cameraApp.skipCanvasResize = true; // Skip canvas resize to preserve content
-                window.cameraApp.stopCamera(false); // Don't clear canvas
-                window.cameraApp.startCamera();
-            }
-            console.log('Switched to front camera');
-        }
+if (recordingExportBtn) {
+    recordingExportBtn.addEventListener('click', () => {
+        window.cameraApp.playCutSound();
+        window.cameraApp.exportRecording();
     });
-    
-    // Rear camera button click
-    rearCameraBtn.addEventListener('click', function() {
-        if (currentCamera !== 'rear') {
-            currentCamera = 'rear';
-            rearCameraBtn.classList.add('active');
-            frontCameraBtn.classList.remove('active');
-            
-            // Switch to rear camera (environment) without clearing canvas
-            if (window.cameraApp) {
-                window.cameraApp.currentFacingMode = 'environment';
-                window.cameraApp.skipCanvasResize = true; // Skip canvas resize to preserve content
-                window.cameraApp.stopCamera(false); // Don't clear canvas
-                window.cameraApp.startCamera();
-            }
-            console.log('Switched to rear camera');
-        }
+}
+
+if (recordingReplayBtn && recordingFileInput) {
+    recordingReplayBtn.addEventListener('click', () => {
+        if (!confirmDiscardCollage()) return;
+        recordingFileInput.click();
     });
     
-    // Set initial state based on currentFacingMode
-    window.addEventListener('load', () => {
-        if (window.cameraApp) {
-            if (window.cameraApp.currentFacingMode === 'environment') {
-                rearCameraBtn.classList.add('active');
-                frontCameraBtn.classList.remove('active');
-                currentCamera = 'rear';
-            } else {
-                frontCameraBtn.classList.add('active');
-                rearCameraBtn.classList.remove('active');
-                currentCamera = 'front';
+    recordingFileInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        // Allow picking the same file again
+        recordingFileInput.value = '';
+        if (!file) return;
+        
+        try {
+            const recording = JSON.parse(await file.text());
+            if (window.cameraApp.replayRecording(recording)) {
+                closeSettingsModal();
             }
+        } catch (error) {
+            console.error('Recording replay error:', error);
+            window.cameraApp.showError('Failed to replay recording');
         }
-        
-        // Initialize settings UI (hide image viewer by default)
-        updateSettingsUI('camera');
     });
 }
 
-// Sound toggle functionality
-const soundToggle = document.getElementById('soundToggle');
+// Timelapse functionality
+const timelapseBtn = document.getElementById('timelapseBtn');
+const timelapseIdleSwitch = document.getElementById('timelapseIdleSwitch');
+const timelapseHoldSwitch = document.getElementById('timelapseHoldSwitch');
 
-// Load sound setting from localStorage on page load
-function loadSoundSetting() {
-    const savedSoundEnabled = localStorage.getItem('shutterSoundEnabled');
+function updateTimelapseSwitches() {
+    const settings = window.cameraApp.timelapseSettings;
+    timelapseIdleSwitch.querySelectorAll('.slide-option').forEach(option => {
+        option.classList.toggle('active', (option.dataset.value === 'skip') === settings.speedUpIdle);
+    });
+    timelapseHoldSwitch.querySelectorAll('.slide-option').forEach(option => {
+        option.classList.toggle('active', Number(option.dataset.value) === settings.holdDuration);
+    });
+}
+
+// Load timelapse settings from localStorage on page load
+function loadTimelapseSetting() {
+    const settings = window.cameraApp.timelapseSettings;
+    const savedIdle = localStorage.getItem('timelapseIdle');
+    const savedHold = localStorage.getItem('timelapseHold');
     
-    if (savedSoundEnabled !== null) {
-        const isEnabled = savedSoundEnabled === 'true';
-        window.cameraApp.shutterSettings.enabled = isEnabled;
-        soundToggle.checked = isEnabled;
-        if (DEBUG_MODE) console.log('Loaded sound setting from localStorage:', isEnabled);
-    } else {
-        // Default is enabled
-        soundToggle.checked = true;
-        window.cameraApp.shutterSettings.enabled = true;
-        localStorage.setItem('shutterSoundEnabled', 'true');
+    if (savedIdle !== null) {
+        settings.speedUpIdle = savedIdle === 'skip';
+    }
+    if (savedHold !== null) {
+        settings.holdDuration = Number(savedHold);
     }
+    if (DEBUG_MODE) console.log('Loaded timelapse settings from localStorage:', { savedIdle, savedHold });
+    updateTimelapseSwitches();
 }
 
-// Save sound setting to localStorage
-function saveSoundSetting(enabled) {
-    localStorage.setItem('shutterSoundEnabled', enabled.toString());
-    if (DEBUG_MODE) console.log('Saved sound setting to localStorage:', enabled);
+// Save timelapse settings to localStorage
+function saveTimelapseSetting() {
+    const settings = window.cameraApp.timelapseSettings;
+    localStorage.setItem('timelapseIdle', settings.speedUpIdle ? 'skip' : 'realtime');
+    localStorage.setItem('timelapseHold', String(settings.holdDuration));
+    if (DEBUG_MODE) console.log('Saved timelapse settings to localStorage:', settings);
 }
 
-// Sound toggle change event
-soundToggle.addEventListener('change', function() {
-    const isEnabled = this.checked;
-    window.cameraApp.shutterSettings.enabled = isEnabled;
-    saveSoundSetting(isEnabled);
-    if (DEBUG_MODE) console.log('Shutter sound:', isEnabled ? 'enabled' : 'disabled');
-});
+if (timelapseIdleSwitch) {
+    timelapseIdleSwitch.addEventListener('click', (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
+        
+        window.cameraApp.timelapseSettings.speedUpIdle = option.dataset.value === 'skip';
+        updateTimelapseSwitches();
+        saveTimelapseSetting();
+    });
+}
 
-// Shake to Erase toggle functionality
-const shakeToggle = document.getElementById('shakeToggle');
+if (timelapseHoldSwitch) {
+    timelapseHoldSwitch.addEventListener('click', (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
+        
+        window.cameraApp.timelapseSettings.holdDuration = Number(option.dataset.value);
+        updateTimelapseSwitches();
+        saveTimelapseSetting();
+    });
+}
 
-// Load shake setting from localStorage on page load
-function loadShakeSetting() {
-    const savedShakeEnabled = localStorage.getItem('shakeToEraseEnabled');
-    
-    if (savedShakeEnabled === 'true') {
-        // If was enabled before, check if permission is already granted
-        if (window.cameraApp.shakeSettings.permissionGranted) {
-            shakeToggle.checked = true;
-            window.cameraApp.enableShakeFeature();
-            if (DEBUG_MODE) console.log('Loaded shake setting from localStorage: enabled');
-        } else {
-            // Permission not granted yet, keep toggle off
-            shakeToggle.checked = false;
-            if (DEBUG_MODE) console.log('Shake was enabled but permission not granted');
-        }
-    } else {
-        // Default is disabled
-        shakeToggle.checked = false;
-        if (DEBUG_MODE) console.log('Shake to erase: disabled (default)');
-    }
+if (timelapseBtn) {
+    timelapseBtn.addEventListener('click', () => {
+        window.cameraApp.playCutSound();
+        closeSettingsModal();
+        window.cameraApp.recordTimelapse();
+    });
 }
 
-// Save shake setting to localStorage
-function saveShakeSetting(enabled) {
-    localStorage.setItem('shakeToEraseEnabled', enabled.toString());
-    if (DEBUG_MODE) console.log('Saved shake setting to localStorage:', enabled);
+// Animated PNG export functionality
+const animationBtn = document.getElementById('animationBtn');
+const animationDelaySwitch = document.getElementById('animationDelaySwitch');
+const animationLoopSwitch = document.getElementById('animationLoopSwitch');
+
+function updateAnimationSwitches() {
+    const settings = window.cameraApp.animationSettings;
+    animationDelaySwitch.querySelectorAll('.slide-option').forEach(option => {
+        option.classList.toggle('active', Number(option.dataset.value) === settings.frameDelay);
+    });
+    animationLoopSwitch.querySelectorAll('.slide-option').forEach(option => {
+        option.classList.toggle('active', Number(option.dataset.value) === settings.loopCount);
+    });
 }
 
-// Shake toggle change event
-shakeToggle.addEventListener('change', async function() {
-    const wantsEnabled = this.checked;
+// Load animation settings from localStorage on page load
+function loadAnimationSetting() {
+    const settings = window.cameraApp.animationSettings;
+    const savedDelay = localStorage.getItem('animationDelay');
+    const savedLoop = localStorage.getItem('animationLoop');
     
-    if (wantsEnabled) {
-        // User wants to enable shake
-        if (window.cameraApp.shakeSettings.permissionGranted) {
-            // Permission already granted, just enable
-            window.cameraApp.enableShakeFeature();
-            saveShakeSetting(true);
-            if (DEBUG_MODE) console.log('Shake to erase enabled');
-        } else {
-            // Need to request permission
-            const granted = await window.cameraApp.requestShakePermission();
-            
-            if (granted) {
-                window.cameraApp.enableShakeFeature();
-                saveShakeSetting(true);
-                if (DEBUG_MODE) console.log('Shake permission granted and feature enabled');
-            } else {
-                // Permission denied - revert toggle to off
-                this.checked = false;
-                if (DEBUG_MODE) console.log('Shake permission denied - toggle reverted');
-            }
-        }
-    } else {
-        // User wants to disable shake
-        window.cameraApp.disableShakeFeature();
-        saveShakeSetting(false);
-        if (DEBUG_MODE) console.log('Shake to erase disabled');
+    if (savedDelay !== null) {
+        settings.frameDelay = Number(savedDelay);
     }
-});
+    if (savedLoop !== null) {
+        settings.loopCount = Number(savedLoop);
+    }
+    if (DEBUG_MODE) console.log('Loaded animation settings from localStorage:', { savedDelay, savedLoop });
+    updateAnimationSwitches();
+}
+
+// Save animation settings to localStorage
+function saveAnimationSetting() {
+    const settings = window.cameraApp.animationSettings;
+    localStorage.setItem('animationDelay', String(settings.frameDelay));
+    localStorage.setItem('animationLoop', String(settings.loopCount));
+    if (DEBUG_MODE) console.log('Saved animation settings to localStorage:', settings);
+}
+
+if (animationDelaySwitch) {
+    animationDelaySwitch.addEventListener('click', (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
+        
+        window.cameraApp.animationSettings.frameDelay = Number(option.dataset.value);
+        updateAnimationSwitches();
+        saveAnimationSetting();
+    });
+}
+
+if (animationLoopSwitch) {
+    animationLoopSwitch.addEventListener('click', (e) => {
+        const option = e.target.closest('.slide-option');
+        if (!option) return;
+        
+        window.cameraApp.animationSettings.loopCount = Number(option.dataset.value);
+        updateAnimationSwitches();
+        saveAnimationSetting();
+    });
+}
+
+if (animationBtn) {
+    animationBtn.addEventListener('click', () => {
+        window.cameraApp.playCutSound();
+        closeSettingsModal();
+        window.cameraApp.exportAnimation();
+    });
+}
 
 // Load sound setting when page loads
 window.addEventListener('load', () => {
+    loadCameraDeviceSetting();
     loadSoundSetting();
     loadShakeSetting();
+    loadPanoramaSetting();
+    loadMetadataSetting();
+    loadDynamicSizeSetting();
+    loadDynamicSizeRangeSetting();
+    loadMultiTouchSetting();
+    loadExposureLockSetting();
+    loadCanvasFormatSetting();
+    loadFrameStyleSetting();
+    loadPieceShapeSetting();
+    loadLookSetting();
+    loadBlendSetting();
+    loadTimeOffsetSetting();
+    loadExportSizeSetting();
+    loadExportOptionSettings();
+    loadTimelapseSetting();
+    loadAnimationSetting();
     
     // Register Service Worker for PWA functionality
     if ('serviceWorker' in navigator) {
@@ -3398,109 +8136,14 @@ window.addEventListener('resize', () => {
 // Set initial viewport height
 document.documentElement.style.setProperty('--vh', `${window.innerHeight * 0.01}px`);
 
-// Share functionality using Web Share API
+// Share button - same export pipeline as the save button (share sheet, download fallback)
 const shareBtn = document.getElementById('shareBtn');
 
 if (shareBtn) {
-    shareBtn.addEventListener('click', async () => {
-        try {
-            // Close settings modal when share button is clicked
-            closeSettingsModal();
-            
-            // Check if Web Share API is supported
-            if (!navigator.share) {
-                alert('Share functionality is not supported on this browser. Please use a modern mobile browser.');
-                return;
-            }
-            
-            // Get the touch canvas (where the collage is actually created)
-            const sourceCanvas = window.cameraApp.touchCanvas;
-            
-            if (!sourceCanvas) {
-                alert('Canvas not found. Please try again.');
-                return;
-            }
-            
-            // Create a temporary canvas with black background
-            const exportCanvas = document.createElement('canvas');
-            exportCanvas.width = sourceCanvas.width;
-            exportCanvas.height = sourceCanvas.height;
-            const exportCtx = exportCanvas.getContext('2d');
-            
-            // Fill with black background
-            exportCtx.fillStyle = '#000000';
-            exportCtx.fillRect(0, 0, exportCanvas.width, exportCanvas.height);
-            
-            // Draw the collage on top
-            exportCtx.drawImage(sourceCanvas, 0, 0);
-            
-            // Convert canvas to blob
-            exportCanvas.toBlob(async (blob) => {
-                if (!blob) {
-                    alert('Failed to create image. Please try again.');
-                    return;
-                }
-                
-                // Create a File object from the blob
-                const file = new File([blob], 'joiner-collage.png', { type: 'image/png' });
-                
-                // Check if the browser can share files
-                if (navigator.canShare && navigator.canShare({ files: [file] })) {
-                    try {
-                        await navigator.share({
-                            files: [file],
-                            title: 'Joiner Collage',
-                            text: 'Check out my photo collage created with Joiner!'
-                        });
-                        // Show success message
-                        alert('Done!');
-                        if (DEBUG_MODE) console.log('Shared successfully');
-                    } catch (error) {
-                        if (error.name !== 'AbortError') {
-                            console.error('Error sharing:', error);
-                            alert('Failed to share. Please try again.');
-                        }
-                        // AbortError means user cancelled the share, no need to show error
-                    } finally {
-                        // Always restart camera after share completes (success, cancel, or error)
-                        // iOS Safari often freezes camera stream after share sheet closes
-                        if (window.cameraApp && window.cameraApp.sourceMode === 'camera') {
-                            console.log('Share completed, restarting camera to prevent freeze...');
-                            setTimeout(() => {
-                                window.cameraApp.restartCamera();
-                            }, 300); // Small delay to allow share sheet to fully close
-                        }
-                    }
-                } else {
-                    // Fallback: try sharing without files (just the text)
-                    try {
-                        await navigator.share({
-                            title: 'Joiner Collage',
-                            text: 'Check out my photo collage created with Joiner!',
-                            url: window.location.href
-                        });
-                        if (DEBUG_MODE) console.log('Shared URL successfully');
-                    } catch (error) {
-                        if (error.name !== 'AbortError') {
-                            console.error('Error sharing URL:', error);
-                            alert('Your browser does not support image sharing. The image has been saved to your device instead.');
-                        }
-                    } finally {
-                        // Also restart camera for URL share fallback
-                        if (window.cameraApp && window.cameraApp.sourceMode === 'camera') {
-                            console.log('Share completed (URL fallback), restarting camera...');
-                            setTimeout(() => {
-                                window.cameraApp.restartCamera();
-                            }, 300);
-                        }
-                    }
-                }
-            }, 'image/png', 0.95);
-            
-        } catch (error) {
-            console.error('Share error:', error);
-            alert('An error occurred while preparing to share. Please try again.');
-        }
+    shareBtn.addEventListener('click', () => {
+        // Close settings modal when share button is clicked
+        closeSettingsModal();
+        window.cameraApp.saveCanvas();
     });
 }
 
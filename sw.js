@@ -1,5 +1,5 @@
 // Service Worker for Joiner PWA
-const CACHE_NAME = 'joiner-v1.0.0';
+const CACHE_NAME = 'joiner-v1.1.0';
 const urlsToCache = [
   './',
   './index.html',